@@ -1,7 +1,12 @@
 const generateBtn = document.getElementById("generateBtn");
 const sampleBtn = document.getElementById("sampleBtn");
 const exportBtn = document.getElementById("exportBtn");
+const cancelBtn = document.getElementById("cancelBtn");
 const urlInput = document.getElementById("urlInput");
+const dropZone = document.getElementById("dropZone");
+const fileInput = document.getElementById("fileInput");
+const dropZoneHint = document.getElementById("dropZoneHint");
+const clearUploadBtn = document.getElementById("clearUploadBtn");
 const goalSelect = document.getElementById("goalSelect");
 const lengthSelect = document.getElementById("lengthSelect");
 const languageSelect = document.getElementById("languageSelect");
@@ -9,6 +14,7 @@ const subtitleStyle = document.getElementById("subtitleStyle");
 const burnInToggle = document.getElementById("burnInToggle");
 const emojiToggle = document.getElementById("emojiToggle");
 const speakerToggle = document.getElementById("speakerToggle");
+const reviewToggle = document.getElementById("reviewToggle");
 const platformTikTok = document.getElementById("platformTikTok");
 const platformShorts = document.getElementById("platformShorts");
 const platformReels = document.getElementById("platformReels");
@@ -16,21 +22,37 @@ const statusText = document.getElementById("statusText");
 const platformSummary = document.getElementById("platformSummary");
 const subtitlePreview = document.getElementById("subtitlePreview");
 const previewNotes = document.getElementById("previewNotes");
+const previewTitle = document.getElementById("previewTitle");
+const clipCountInput = document.getElementById("clipCountInput");
+const outputGrid = document.getElementById("outputGrid");
+const reviewSection = document.getElementById("review");
+const reviewSummary = document.getElementById("reviewSummary");
+const reviewTimeline = document.getElementById("reviewTimeline");
+const reviewList = document.getElementById("reviewList");
+const renderApprovedBtn = document.getElementById("renderApprovedBtn");
 const pipelineSteps = Array.from(document.querySelectorAll(".pipeline-step"));
-const outputCards = Array.from(document.querySelectorAll(".output-card"));
-const outputTitles = Array.from(document.querySelectorAll(".output-title"));
-const outputDescriptions = Array.from(document.querySelectorAll(".output-desc"));
-const outputDurations = Array.from(document.querySelectorAll("[data-duration]"));
-const subtitleBlocks = Array.from(document.querySelectorAll(".subtitle-lines"));
 
 let pollTimer = null;
+let jobEvents = null;
 let activeJobId = null;
+let jobClips = null;
+let jobClipsKey = "";
+let uploadVideo = null;
+let uploadCaptions = null;
+let reviewJobId = null;
+let reviewDuration = 0;
+let reviewCandidates = [];
 
-const styleClasses = ["style-kinetic", "style-minimal", "style-karaoke", "style-bold"];
+const videoExtensions = [".mp4", ".mov", ".mkv"];
+const captionExtensions = [".srt", ".vtt"];
+const dropZoneDefaultHint = dropZoneHint.textContent;
+
+const styleClasses = ["style-kinetic", "style-minimal", "style-karaoke", "style-bold", "style-custom"];
+const customStyles = new Map();
 
 const goalCopy = {
   highlights: {
-    titles: ["Highlight #1 • Hook", "Highlight #2 • Reaction", "Highlight #3 • Payoff"],
+    labels: ["Hook", "Reaction", "Payoff"],
     descriptions: [
       "Auto-crop + caption emphasis ready.",
       "Punchy clip with peak audience spike.",
@@ -38,7 +60,7 @@ const goalCopy = {
     ],
   },
   tutorial: {
-    titles: ["Highlight #1 • Step 1", "Highlight #2 • Key tip", "Highlight #3 • Result"],
+    labels: ["Step 1", "Key tip", "Result"],
     descriptions: [
       "Quick setup with on-screen captions.",
       "Core insight with zoom on speaker.",
@@ -46,7 +68,7 @@ const goalCopy = {
     ],
   },
   story: {
-    titles: ["Highlight #1 • Setup", "Highlight #2 • Turning point", "Highlight #3 • Resolution"],
+    labels: ["Setup", "Turning point", "Resolution"],
     descriptions: [
       "Story hook with kinetic captions.",
       "Mid-arc tension with dramatic pacing.",
@@ -61,12 +83,24 @@ const lengthDurations = {
   long: ["0:52", "0:49", "0:57"],
 };
 
+const sampleCaptions = [
+  "when the graph finally turns green you ship",
+  "this is the 5-second tip that changes it all",
+  "the twist nobody sees coming",
+];
+
 const platformMap = {
   tiktok: platformTikTok,
   shorts: platformShorts,
   reels: platformReels,
 };
 
+const platformLabels = {
+  tiktok: "TikTok",
+  shorts: "Shorts",
+  reels: "Reels",
+};
+
 function setStatus(message, tone = "idle") {
   statusText.textContent = message;
   statusText.setAttribute("data-tone", tone);
@@ -100,41 +134,59 @@ function updatePipeline(stepIndex, status) {
   });
 }
 
-function updatePlatformSummary() {
-  const active = Object.entries(platformMap)
+function getActivePlatforms() {
+  return Object.entries(platformMap)
     .filter(([, checkbox]) => checkbox.checked)
     .map(([platform]) => platform);
+}
 
-  const labelMap = {
-    tiktok: "TikTok",
-    shorts: "Shorts",
-    reels: "Reels",
-  };
+function updatePlatformSummary() {
+  const active = getActivePlatforms();
 
   if (!active.length) {
     platformSummary.textContent = "No outputs selected";
     return;
   }
 
-  platformSummary.textContent = `Outputs: ${active.map((item) => labelMap[item]).join(", ")}`;
+  platformSummary.textContent = `Outputs: ${active.map((item) => platformLabels[item]).join(", ")}`;
 }
 
-function updatePlatformVisibility() {
-  outputCards.forEach((card) => {
-    const platform = card.dataset.platform;
-    const checkbox = platformMap[platform];
-    card.classList.toggle("is-disabled", !checkbox.checked);
+function applyCaptionStyle(node) {
+  const preset = customStyles.get(subtitleStyle.value);
+  node.classList.remove(...styleClasses, "has-box");
+  node.classList.add(preset ? "style-custom" : `style-${subtitleStyle.value}`);
+  ["--caption-ink", "--caption-outline", "--caption-font", "--caption-case"].forEach((name) => {
+    node.style.removeProperty(name);
   });
+  if (!preset) return;
+  node.style.setProperty("--caption-ink", preset.primaryColour);
+  node.style.setProperty("--caption-outline", preset.outlineColour);
+  node.style.setProperty("--caption-font", `"${preset.font}", sans-serif`);
+  node.style.setProperty("--caption-case", preset.uppercase ? "uppercase" : "none");
+  node.classList.toggle("has-box", preset.box);
 }
 
 function updateSubtitleStyle() {
-  const style = subtitleStyle.value;
-  subtitlePreview.classList.remove(...styleClasses);
-  subtitlePreview.classList.add(`style-${style}`);
-  subtitleBlocks.forEach((block) => {
-    block.classList.remove(...styleClasses);
-    block.classList.add(`style-${style}`);
+  applyCaptionStyle(subtitlePreview);
+  renderOutputCards();
+}
+
+async function loadStylePresets() {
+  const res = await fetch("/api/styles").catch(() => null);
+  if (!res?.ok) return;
+  const { styles = [] } = await res.json().catch(() => ({}));
+  const custom = styles.filter((style) => !style.builtIn);
+  if (!custom.length) return;
+
+  const group = createNode("optgroup");
+  group.label = "Custom presets";
+  custom.forEach((preset) => {
+    customStyles.set(preset.id, preset);
+    const option = createNode("option", "", preset.name);
+    option.value = preset.id;
+    group.append(option);
   });
+  subtitleStyle.append(group);
 }
 
 function updatePreviewNotes() {
@@ -144,24 +196,276 @@ function updatePreviewNotes() {
   previewNotes.textContent = `${burnIn} • ${speaker} • ${emoji}`;
 }
 
-function updateOutputCopy() {
-  const goal = goalSelect.value;
-  const copy = goalCopy[goal];
-  if (!copy) return;
-  outputTitles.forEach((title, index) => {
-    title.textContent = copy.titles[index] || title.textContent;
+function getClipCount() {
+  const value = Number.parseInt(clipCountInput.value, 10);
+  if (Number.isNaN(value)) return 3;
+  return Math.min(15, Math.max(1, value));
+}
+
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function splitCaption(text) {
+  const words = (text || "").split(/\s+/).filter(Boolean).slice(0, 8);
+  const middle = Math.ceil(words.length / 2);
+  return [words.slice(0, middle).join(" "), words.slice(middle).join(" ")].filter(Boolean);
+}
+
+function buildPlaceholderClips() {
+  const durations = lengthDurations[lengthSelect.value] || lengthDurations.short;
+  return Array.from({ length: getClipCount() }, (_, index) => ({
+    id: index + 1,
+    durationLabel: durations[index % durations.length],
+    text: sampleCaptions[index % sampleCaptions.length],
+  }));
+}
+
+function createNode(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function buildOutputCard(clip, index, copy, platforms) {
+  const card = createNode("article", "output-card");
+  card.classList.toggle("is-disabled", !platforms.length);
+
+  const frame = createNode("div", "output-frame");
+  const top = createNode("div", "frame-top");
+  const tags = createNode("div", "frame-tags");
+  platforms.forEach((platform) => {
+    tags.append(createNode("span", `platform-tag ${platform}`, platformLabels[platform]));
+  });
+  const duration = clip.durationLabel || formatDuration(clip.duration);
+  top.append(tags, createNode("span", "duration", duration));
+
+  const center = createNode("div", "frame-center");
+  center.append(createNode("div", "frame-spark"), createNode("div", "frame-wave"));
+
+  const captions = createNode("div", "subtitle-lines");
+  applyCaptionStyle(captions);
+  splitCaption(clip.text).forEach((line) => captions.append(createNode("span", "", line)));
+
+  frame.append(top, center, captions);
+
+  const meta = createNode("div", "output-meta");
+  const label = copy.labels[index % copy.labels.length];
+  meta.append(
+    createNode("h3", "output-title", `Highlight #${clip.id} • ${clip.title || label}`),
+    createNode("p", "output-desc", clip.reason || copy.descriptions[index % copy.descriptions.length])
+  );
+
+  card.append(frame, meta);
+  return card;
+}
+
+function renderOutputCards() {
+  const copy = goalCopy[goalSelect.value] || goalCopy.highlights;
+  const platforms = getActivePlatforms();
+  const clips = jobClips || buildPlaceholderClips();
+
+  outputGrid.replaceChildren(
+    ...clips.map((clip, index) => buildOutputCard(clip, index, copy, platforms))
+  );
+  previewTitle.textContent = `Auto highlights • ${clips.length} ${clips.length === 1 ? "clip" : "clips"}`;
+}
+
+function updateJobClips(clips) {
+  if (!clips || !clips.length) return;
+  const key = clips.map((clip) => `${clip.id}:${clip.start}:${clip.end}`).join("|");
+  if (key === jobClipsKey) return;
+  jobClips = clips;
+  jobClipsKey = key;
+  renderOutputCards();
+}
+
+function updateReviewTimeline() {
+  const approved = reviewCandidates.filter((candidate) => candidate.approved);
+  const total = reviewDuration || Math.max(1, ...reviewCandidates.map((candidate) => candidate.end));
+
+  reviewTimeline.replaceChildren(
+    ...reviewCandidates.map((candidate) => {
+      const span = createNode("span", "timeline-clip");
+      span.classList.toggle("is-approved", candidate.approved);
+      span.style.left = `${(candidate.start / total) * 100}%`;
+      span.style.width = `${((candidate.end - candidate.start) / total) * 100}%`;
+      span.title = `${candidate.title || `Candidate #${candidate.id}`} • ${formatDuration(candidate.start)}–${formatDuration(candidate.end)}`;
+      span.addEventListener("click", () => setCandidateApproved(candidate, !candidate.approved));
+      return span;
+    })
+  );
+
+  reviewSummary.textContent = `${approved.length} of ${reviewCandidates.length} candidates approved • ${formatDuration(
+    approved.reduce((sum, candidate) => sum + candidate.end - candidate.start, 0)
+  )} total`;
+  renderApprovedBtn.disabled = !approved.length;
+}
+
+function setCandidateApproved(candidate, approved) {
+  candidate.approved = approved;
+  renderReviewList();
+}
+
+function buildTimeInput(candidate, key) {
+  const input = createNode("input");
+  input.type = "number";
+  input.min = "0";
+  input.step = "0.1";
+  input.value = candidate[key].toFixed(1);
+  input.setAttribute("aria-label", key === "start" ? "Start (seconds)" : "End (seconds)");
+  input.addEventListener("change", () => {
+    const value = Number.parseFloat(input.value);
+    if (Number.isFinite(value)) {
+      candidate[key] = Math.max(0, value);
+    }
+    input.value = candidate[key].toFixed(1);
+    updateReviewTimeline();
   });
-  outputDescriptions.forEach((desc, index) => {
-    desc.textContent = copy.descriptions[index] || desc.textContent;
+  return input;
+}
+
+function buildReviewRow(candidate) {
+  const row = createNode("div", "review-row");
+  row.classList.toggle("is-approved", candidate.approved);
+
+  const checkbox = createNode("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = candidate.approved;
+  checkbox.setAttribute("aria-label", `Approve candidate ${candidate.id}`);
+  checkbox.addEventListener("change", () => setCandidateApproved(candidate, checkbox.checked));
+
+  const heading = createNode("div");
+  const title = createNode("input");
+  title.type = "text";
+  title.placeholder = `Highlight #${candidate.id}`;
+  title.value = candidate.title || "";
+  title.addEventListener("input", () => {
+    candidate.title = title.value;
   });
+  heading.append(
+    title,
+    createNode("div", "review-score", `Score ${candidate.score.toFixed(2)} • ${formatDuration(candidate.end - candidate.start)}`)
+  );
+
+  const text = createNode("div", "review-text", candidate.reason || candidate.text);
+  if (candidate.reason) {
+    text.title = candidate.text;
+  }
+
+  row.append(checkbox, heading, buildTimeInput(candidate, "start"), buildTimeInput(candidate, "end"), text);
+  return row;
+}
+
+function renderReviewList() {
+  reviewList.replaceChildren(...reviewCandidates.map(buildReviewRow));
+  updateReviewTimeline();
+}
+
+function hideReview() {
+  reviewJobId = null;
+  reviewCandidates = [];
+  reviewSection.hidden = true;
+}
+
+async function showReview(jobId) {
+  if (reviewJobId === jobId) return;
+  reviewJobId = jobId;
+
+  try {
+    const res = await fetch(`/api/jobs/${jobId}/candidates`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Unable to load candidates.");
+
+    const approvedCount = getClipCount();
+    reviewDuration = data.videoDuration || 0;
+    reviewCandidates = data.candidates.map((candidate, index) => ({
+      ...candidate,
+      score: Number(candidate.score) || 0,
+      approved: index < approvedCount,
+    }));
+    reviewSection.hidden = false;
+    renderReviewList();
+    reviewSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  } catch (error) {
+    reviewJobId = null;
+    setStatus(error.message || "Unable to load candidates.", "error");
+  }
+}
+
+async function renderApproved() {
+  const clips = reviewCandidates
+    .filter((candidate) => candidate.approved)
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, title }) => ({ start, end, title }));
+  if (!activeJobId || !clips.length) {
+    setStatus("Approve at least one clip to render.", "error");
+    return;
+  }
+
+  renderApprovedBtn.disabled = true;
+  try {
+    const res = await fetch(`/api/jobs/${activeJobId}/render`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ clips }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || "Unable to start rendering.");
+    }
+
+    hideReview();
+    setStatus("Rendering approved clips...", "work");
+    watchJob(activeJobId);
+  } catch (error) {
+    setStatus(error.message || "Unable to start rendering.", "error");
+    renderApprovedBtn.disabled = false;
+  }
+}
+
+function getExtension(fileName) {
+  const index = fileName.lastIndexOf(".");
+  return index === -1 ? "" : fileName.slice(index).toLowerCase();
+}
+
+function updateDropZone() {
+  const hasFiles = Boolean(uploadVideo || uploadCaptions);
+  dropZone.classList.toggle("has-file", hasFiles);
+  clearUploadBtn.hidden = !hasFiles;
+
+  if (!hasFiles) {
+    dropZoneHint.textContent = dropZoneDefaultHint;
+    return;
+  }
+
+  const names = [uploadVideo?.name, uploadCaptions?.name].filter(Boolean);
+  dropZoneHint.textContent = uploadVideo
+    ? names.join(" + ")
+    : `${names.join("")} (add a video to use it)`;
 }
 
-function updateDurations() {
-  const length = lengthSelect.value;
-  const durations = lengthDurations[length] || lengthDurations.short;
-  outputDurations.forEach((node, index) => {
-    node.textContent = durations[index] || node.textContent;
+function selectUploadFiles(files) {
+  Array.from(files).forEach((file) => {
+    const extension = getExtension(file.name);
+    if (videoExtensions.includes(extension)) {
+      uploadVideo = file;
+    } else if (captionExtensions.includes(extension)) {
+      uploadCaptions = file;
+    } else {
+      setStatus(`Unsupported file: ${file.name}`, "error");
+    }
   });
+  updateDropZone();
+}
+
+function clearUpload() {
+  uploadVideo = null;
+  uploadCaptions = null;
+  fileInput.value = "";
+  updateDropZone();
 }
 
 function stopPolling() {
@@ -169,57 +473,131 @@ function stopPolling() {
     clearInterval(pollTimer);
     pollTimer = null;
   }
+  if (jobEvents) {
+    jobEvents.close();
+    jobEvents = null;
+  }
+}
+
+function renderJob(data) {
+  updateJobClips(data.clips);
+
+  if (data.status === "queued") {
+    const position = data.queuePosition ? ` (position ${data.queuePosition})` : "";
+    setStatus(`Waiting in queue${position}...`, "work");
+    updatePipeline(0, "processing");
+    return;
+  }
+
+  if (data.status === "processing") {
+    const percent = Math.round((data.progress || 0) * 100);
+    setStatus(`${data.message || "Processing..."} ${percent}%`, "work");
+    updatePipeline(data.step || 0, "processing");
+    return;
+  }
+
+  if (data.status === "awaiting_review") {
+    setStatus("Candidates ready. Approve the clips you want below.", "success");
+    updatePipeline(2, "idle");
+    stopPolling();
+    showReview(data.id);
+    return;
+  }
+
+  if (data.status === "done") {
+    setStatus("Highlights ready. Download the export package.", "success");
+    updatePipeline(4, "done");
+    exportBtn.disabled = false;
+    cancelBtn.disabled = true;
+    stopPolling();
+    return;
+  }
+
+  if (data.status === "cancelled") {
+    setStatus("Job cancelled.", "idle");
+    resetPipeline();
+    hideReview();
+    cancelBtn.disabled = true;
+    stopPolling();
+    return;
+  }
+
+  if (data.status === "error") {
+    setStatus(data.message || "Processing failed.", "error");
+    updatePipeline(0, "idle");
+    cancelBtn.disabled = true;
+    stopPolling();
+  }
 }
 
 async function pollJob(jobId) {
   try {
     const res = await fetch(`/api/jobs/${jobId}`);
     if (!res.ok) throw new Error("Unable to fetch job status.");
-    const data = await res.json();
-
-    if (data.status === "processing") {
-      setStatus(data.message || "Processing...", "work");
-      updatePipeline(data.step || 0, "processing");
-      return;
-    }
-
-    if (data.status === "done") {
-      setStatus("Highlights ready. Download the export package.", "success");
-      updatePipeline(4, "done");
-      exportBtn.disabled = false;
-      stopPolling();
-      return;
-    }
-
-    if (data.status === "error") {
-      setStatus(data.message || "Processing failed.", "error");
-      updatePipeline(0, "idle");
-      stopPolling();
-    }
+    renderJob(await res.json());
   } catch (error) {
     setStatus(error.message || "Unable to reach server.", "error");
+    cancelBtn.disabled = true;
     stopPolling();
   }
 }
 
+function startPolling(jobId) {
+  stopPolling();
+  pollTimer = setInterval(() => pollJob(jobId), 1200);
+  pollJob(jobId);
+}
+
+function watchJob(jobId) {
+  if (typeof EventSource === "undefined") {
+    startPolling(jobId);
+    return;
+  }
+
+  stopPolling();
+  const source = new EventSource(`/api/jobs/${jobId}/events`);
+  jobEvents = source;
+
+  source.onmessage = (event) => {
+    renderJob(JSON.parse(event.data));
+  };
+
+  source.onerror = () => {
+    if (jobEvents !== source) return;
+    startPolling(jobId);
+  };
+}
+
 async function startPipeline() {
   const url = urlInput.value.trim();
-  if (!url) {
-    setStatus("Add a YouTube URL to begin.", "error");
+  if (!url && !uploadVideo) {
+    setStatus("Add a YouTube URL or drop a video to begin.", "error");
+    return;
+  }
+
+  if (!getActivePlatforms().length) {
+    setStatus("Select at least one output platform.", "error");
     return;
   }
 
   generateBtn.disabled = true;
   exportBtn.disabled = true;
+  jobClips = null;
+  jobClipsKey = "";
+  hideReview();
+  renderOutputCards();
   resetPipeline();
   setStatus("Starting highlight job...", "work");
 
-  const payload = {
-    url,
+  const options = {
     goal: goalSelect.value,
     length: lengthSelect.value,
     subtitleStyle: subtitleStyle.value,
     burnIn: burnInToggle.checked,
+    emoji: emojiToggle.checked,
+    speakers: speakerToggle.checked,
+    clipCount: getClipCount(),
+    review: reviewToggle.checked,
     language: languageSelect?.value === "auto" ? undefined : languageSelect?.value,
     platforms: {
       tiktok: platformTikTok.checked,
@@ -229,11 +607,23 @@ async function startPipeline() {
   };
 
   try {
-    const res = await fetch("/api/highlights", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
+    let res;
+    if (uploadVideo) {
+      const form = new FormData();
+      form.append("video", uploadVideo);
+      if (uploadCaptions) {
+        form.append("transcript", uploadCaptions);
+      }
+      form.append("options", JSON.stringify(options));
+      setStatus("Uploading video...", "work");
+      res = await fetch("/api/uploads", { method: "POST", body: form });
+    } else {
+      res = await fetch("/api/highlights", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url, ...options }),
+      });
+    }
 
     const data = await res.json();
     if (!res.ok) {
@@ -241,11 +631,10 @@ async function startPipeline() {
     }
 
     activeJobId = data.jobId;
+    cancelBtn.disabled = false;
     updatePipeline(0, "processing");
 
-    stopPolling();
-    pollTimer = setInterval(() => pollJob(activeJobId), 1200);
-    pollJob(activeJobId);
+    watchJob(activeJobId);
   } catch (error) {
     setStatus(error.message || "Unable to start job.", "error");
     generateBtn.disabled = false;
@@ -255,10 +644,28 @@ async function startPipeline() {
 }
 
 function loadSample() {
+  clearUpload();
   urlInput.value = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
   startPipeline();
 }
 
+async function cancelPipeline() {
+  if (!activeJobId) return;
+  cancelBtn.disabled = true;
+
+  try {
+    const res = await fetch(`/api/jobs/${activeJobId}`, { method: "DELETE" });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || "Unable to cancel job.");
+    }
+    stopPolling();
+    pollJob(activeJobId);
+  } catch (error) {
+    setStatus(error.message || "Unable to cancel job.", "error");
+  }
+}
+
 function exportPackage() {
   if (!activeJobId) {
     setStatus("Run a highlight job first.", "error");
@@ -273,30 +680,57 @@ emojiToggle.addEventListener("change", updatePreviewNotes);
 speakerToggle.addEventListener("change", updatePreviewNotes);
 
 platformTikTok.addEventListener("change", () => {
-  updatePlatformVisibility();
+  renderOutputCards();
   updatePlatformSummary();
 });
 platformShorts.addEventListener("change", () => {
-  updatePlatformVisibility();
+  renderOutputCards();
   updatePlatformSummary();
 });
 platformReels.addEventListener("change", () => {
-  updatePlatformVisibility();
+  renderOutputCards();
   updatePlatformSummary();
 });
 
-lengthSelect.addEventListener("change", updateDurations);
-goalSelect.addEventListener("change", updateOutputCopy);
+lengthSelect.addEventListener("change", renderOutputCards);
+goalSelect.addEventListener("change", renderOutputCards);
+clipCountInput.addEventListener("change", renderOutputCards);
+
+dropZone.addEventListener("click", (event) => {
+  if (event.target === clearUploadBtn) return;
+  fileInput.click();
+});
+dropZone.addEventListener("keydown", (event) => {
+  if (event.key === "Enter" || event.key === " ") {
+    event.preventDefault();
+    fileInput.click();
+  }
+});
+dropZone.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  dropZone.classList.add("is-dragging");
+});
+dropZone.addEventListener("dragleave", () => {
+  dropZone.classList.remove("is-dragging");
+});
+dropZone.addEventListener("drop", (event) => {
+  event.preventDefault();
+  dropZone.classList.remove("is-dragging");
+  selectUploadFiles(event.dataTransfer.files);
+});
+fileInput.addEventListener("change", () => selectUploadFiles(fileInput.files));
+clearUploadBtn.addEventListener("click", clearUpload);
 
 sampleBtn.addEventListener("click", loadSample);
 generateBtn.addEventListener("click", startPipeline);
 exportBtn.addEventListener("click", exportPackage);
+cancelBtn.addEventListener("click", cancelPipeline);
+renderApprovedBtn.addEventListener("click", renderApproved);
 
 exportBtn.disabled = true;
+cancelBtn.disabled = true;
 
 updateSubtitleStyle();
 updatePreviewNotes();
 updatePlatformSummary();
-updatePlatformVisibility();
-updateDurations();
-updateOutputCopy();
+loadStylePresets();
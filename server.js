@@ -3,8 +3,10 @@ const path = require("path");
 const fs = require("fs");
 const os = require("os");
 const crypto = require("crypto");
+const { spawn } = require("child_process");
 const { pipeline } = require("stream/promises");
-const { once } = require("events");
+const { EventEmitter, once } = require("events");
+const { PassThrough } = require("stream");
 const { File } = require("node:buffer");
 const ytdl = require("@distube/ytdl-core");
 const ffmpeg = require("fluent-ffmpeg");
@@ -12,6 +14,7 @@ const ffmpegPath = require("ffmpeg-static");
 const ffprobePath = require("ffprobe-static").path;
 const { YoutubeTranscript } = require("youtube-transcript");
 const archiver = require("archiver");
+const multer = require("multer");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,22 +27,363 @@ ffmpeg.setFfmpegPath(ffmpegPath);
 ffmpeg.setFfprobePath(ffprobePath);
 
 app.use(express.json({ limit: "2mb" }));
-app.use(express.static(__dirname));
+for (const asset of ["index.html", "main.js", "styles.css"]) {
+  app.get(asset === "index.html" ? ["/", "/index.html"] : `/${asset}`, (req, res) => {
+    res.sendFile(path.join(__dirname, asset));
+  });
+}
 
-const jobs = new Map();
 const JOB_TTL_MS = 1000 * 60 * 60;
+const JOB_STORE_FLUSH_MS = 250;
+const DATA_DIR = process.env.CLIPSPARK_DATA_DIR || path.join(__dirname, "data");
+const UPLOAD_DIR = path.join(DATA_DIR, "uploads");
+const FONTS_DIR = process.env.CLIPSPARK_FONTS_DIR || path.join(__dirname, "fonts");
+const FONT_EXTENSIONS = [".ttf", ".otf", ".ttc"];
+const DEFAULT_FONT = "DejaVu Sans";
+const EMOJI_FONT = "Noto Emoji";
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 2 * 1024 * 1024 * 1024;
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".mkv"];
+const CAPTION_EXTENSIONS = [".srt", ".vtt"];
+const ACTIVE_STATUSES = ["queued", "processing"];
+const REVIEW_STATUS = "awaiting_review";
+const REVIEW_TTL_MS = 1000 * 60 * 60 * 12;
+const REVIEW_CANDIDATE_FACTOR = 2;
+const REVIEW_TEXT_LIMIT = 600;
+const REVIEW_TRANSCRIPT_FILE = "transcript.json";
+const FINISHED_STATUSES = ["done", "error", "cancelled"];
+const SSE_HEARTBEAT_MS = 1000 * 25;
+const PROGRESS_MIN_DELTA = 0.005;
+const PROGRESS_PHASES = {
+  download: [0.02, 0.3],
+  transcript: [0.3, 0.4],
+  signals: [0.4, 0.45],
+  segments: [0.45, 0.5],
+  render: [0.5, 0.95],
+};
+const DOWNLOAD_MODES = ["full", "segments"];
+const DOWNLOAD_MODE = DOWNLOAD_MODES.includes(process.env.DOWNLOAD_MODE) ? process.env.DOWNLOAD_MODE : "full";
+const SEGMENT_PADDING_SECONDS = 2;
+const MAX_SOURCE_HEIGHT = Math.max(144, Number(process.env.MAX_SOURCE_HEIGHT) || 1080);
+const VIDEO_CODEC_PREFERENCE = ["avc1", "vp9", "vp09", "av01"];
+const MAX_CONCURRENT_JOBS = Math.max(1, Number(process.env.MAX_CONCURRENT_JOBS) || 1);
 const MAX_OPENAI_AUDIO_BYTES = 25 * 1024 * 1024;
+const AUDIO_CHUNK_HEADROOM = 0.9;
+const AUDIO_CHUNK_OVERLAP_SECONDS = 2;
+const AUDIO_CHUNK_SNAP_SECONDS = 45;
+const SILENCE_NOISE_DB = -35;
+const SILENCE_MIN_SECONDS = 0.4;
 const OPENAI_TRANSCRIBE_URL = "https://api.openai.com/v1/audio/transcriptions";
+const TRANSCRIBE_PROVIDER = (process.env.TRANSCRIBE_PROVIDER || "auto").toLowerCase();
+const WHISPER_CPP_BIN = process.env.WHISPER_CPP_BIN || "whisper-cli";
+const WHISPER_CPP_MODEL = process.env.WHISPER_CPP_MODEL;
+const WHISPER_CPP_THREADS = Math.max(1, Number(process.env.WHISPER_CPP_THREADS) || os.cpus().length);
+const VOSK_BIN = process.env.VOSK_BIN || "vosk-transcriber";
+const VOSK_MODEL = process.env.VOSK_MODEL;
+const DIARIZE_PROVIDER = (process.env.DIARIZE_PROVIDER || "local").toLowerCase();
+const DIARIZE_SAMPLE_RATE = 16000;
+const DIARIZE_FRAME_SIZE = 512;
+const DIARIZE_HOP_SIZE = 800;
+const DIARIZE_MEL_BANDS = 24;
+const DIARIZE_MFCC_COUNT = 13;
+const DIARIZE_MIN_FRAMES = 5;
+const DIARIZE_VOICED_RANGE = Math.log(100);
+const DIARIZE_ITERATIONS = 8;
+const DIARIZE_RESTARTS = 5;
+const DIARIZE_SILHOUETTE_SAMPLE = 400;
+const DIARIZE_MIN_SILHOUETTE = Number(process.env.DIARIZE_MIN_SILHOUETTE) || 0.12;
+const DIARIZE_MIN_SHARE = 0.05;
+const MAX_SPEAKERS = Math.max(1, Number(process.env.MAX_SPEAKERS) || 4);
 const DEFAULT_USER_AGENT =
   "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
 const DEFAULT_PLAYER_CLIENTS = ["ANDROID", "IOS", "TV"];
+const DEFAULT_CLIP_COUNT = 3;
+const MAX_CLIP_COUNT = 15;
+const MIN_MANUAL_CLIP_SECONDS = 1;
+const MAX_MANUAL_CLIP_SECONDS = 180;
+const CLIP_LENGTHS = {
+  short: { min: 15, target: 24, max: 30 },
+  medium: { min: 30, target: 36, max: 45 },
+  long: { min: 45, target: 52, max: 60 },
+};
+const HIGHLIGHT_SIGNALS = (process.env.HIGHLIGHT_SIGNALS ?? "audio")
+  .toLowerCase()
+  .split(",")
+  .map((item) => item.trim())
+  .filter(Boolean);
+const SIGNAL_WEIGHTS = {
+  highlights: { text: 1, loudness: 0.6, bursts: 0.8, scenes: 0.4, heat: 1.2, chapters: 0.3 },
+  tutorial: { text: 1, loudness: 0.15, bursts: 0.1, scenes: 0.5, heat: 0.6, chapters: 0.8 },
+  story: { text: 1, loudness: 0.5, bursts: 0.6, scenes: 0.25, heat: 0.8, chapters: 0.5 },
+};
+const CHAPTER_SNAP_SECONDS = 10;
+const LLM_RANKER_URL = (process.env.LLM_RANKER_URL || "").replace(/\/+$/, "");
+const LLM_RANKER_MODEL = process.env.LLM_RANKER_MODEL || "gpt-4o-mini";
+const LLM_RANKER_TIMEOUT_MS = Number(process.env.LLM_RANKER_TIMEOUT_MS) || 60000;
+const LLM_RANKER_MAX_CANDIDATES = 12;
+const LLM_RANKER_WEIGHT = 0.7;
+const LLM_RANKER_TEXT_LIMIT = 1200;
+const GOAL_PROMPTS = {
+  highlights: "viral short-form highlights with a strong hook, emotional peak or surprising payoff",
+  tutorial: "self-contained tutorial bites that teach one concrete step or tip",
+  story: "story beats with a clear setup, tension or resolution",
+};
+const LOUDNESS_FLOOR_LUFS = -70;
+const LOUDNESS_PEAK_LU = 6;
+const BURST_MIN_SECONDS = 1;
+const BURST_CAPTION_PATTERN = /[[(](?:laugh\w*|applause|cheer\w*|clapping)[\])]/i;
+const SCENE_CHANGE_THRESHOLD = Number(process.env.SCENE_CHANGE_THRESHOLD) || 0.35;
+const SENTENCE_END_PATTERN = /[.!?…]["')\]]*$/;
+const SENTENCE_GAP_SECONDS = 0.6;
+const BOUNDARY_START_SHIFT_SECONDS = 6;
+const REFRAME_MODE = (process.env.REFRAME_MODE || "smart").toLowerCase();
+const REFRAME_SAMPLE_FPS = 2;
+const REFRAME_SAMPLE_WIDTH = 96;
+const REFRAME_KEYFRAME_SECONDS = 1;
+const REFRAME_SMOOTHING = 0.35;
+const REFRAME_MAX_PAN_PER_SECOND = 0.12;
+const REFRAME_DEADZONE = 0.04;
+const PLATFORM_PROFILES = {
+  tiktok: { label: "TikTok", maxDuration: 60, captionMarginV: 360, loudness: -14 },
+  shorts: { label: "YouTube Shorts", maxDuration: 60, captionMarginV: 280, loudness: -14 },
+  reels: { label: "Instagram Reels", maxDuration: 90, captionMarginV: 400, loudness: -14 },
+};
 
 const STYLE_MAP = {
-  kinetic: "FontName=Arial,FontSize=58,PrimaryColour=&H00FFFFFF&,BackColour=&H90000000&,BorderStyle=3,Outline=2,Shadow=1,Alignment=2",
-  minimal: "FontName=Arial,FontSize=46,PrimaryColour=&H00FFFFFF&,OutlineColour=&H000000&,BorderStyle=1,Outline=1,Shadow=0,Alignment=2",
-  karaoke: "FontName=Arial,FontSize=52,PrimaryColour=&H00000000&,OutlineColour=&H000000&,BorderStyle=1,Outline=2,Shadow=1,Alignment=2",
-  bold: "FontName=Arial Black,FontSize=60,PrimaryColour=&H00FFFFFF&,OutlineColour=&H000000&,BorderStyle=3,Outline=3,Shadow=1,Alignment=2",
+  kinetic: "FontName=DejaVu Sans,FontSize=58,PrimaryColour=&H004AD2FF&,SecondaryColour=&H00FFFFFF&,BackColour=&H90000000&,BorderStyle=3,Outline=2,Shadow=1,Alignment=2",
+  minimal: "FontName=DejaVu Sans,FontSize=46,PrimaryColour=&H00FFFFFF&,OutlineColour=&H000000&,BorderStyle=1,Outline=1,Shadow=0,Alignment=2",
+  karaoke: "FontName=DejaVu Sans,FontSize=52,PrimaryColour=&H004AD2FF&,SecondaryColour=&H00FFFFFF&,OutlineColour=&H000000&,BorderStyle=1,Outline=2,Shadow=1,Alignment=2",
+  bold: "FontName=DejaVu Sans,Bold=-1,FontSize=60,PrimaryColour=&H00FFFFFF&,OutlineColour=&H000000&,BorderStyle=3,Outline=3,Shadow=1,Alignment=2",
+};
+const KARAOKE_TAGS = {
+  kinetic: "\\k",
+  karaoke: "\\kf",
 };
+const EMPHASIS_COLOURS = {
+  kinetic: "&H3D6AFF&",
+  minimal: "&H4AD2FF&",
+  karaoke: "&H3D6AFF&",
+  bold: "&H4AD2FF&",
+};
+const MAX_EMOJI_PER_CUE = 1;
+const CAPTION_LANGUAGES = ["en", "es", "fr", "de"];
+const CAPTION_LAYOUTS = {
+  kinetic: { maxChars: 22, maxLines: 2, minDuration: 0.8 },
+  minimal: { maxChars: 32, maxLines: 2, minDuration: 1.2 },
+  karaoke: { maxChars: 26, maxLines: 2, minDuration: 1 },
+  bold: { maxChars: 18, maxLines: 2, minDuration: 0.8 },
+};
+const SPEAKER_COLOURS = ["&HFFB72B&", "&H78B917&", "&HB59BFF&", "&H3D6AFF&"];
+const EMOJI_DICTIONARIES = {
+  en: {
+    money: "💰", cash: "💰", rich: "💰", dollars: "💵",
+    fire: "🔥", hot: "🔥", insane: "🤯", crazy: "🤯", mindblowing: "🤯",
+    love: "❤️", heart: "❤️", happy: "😄", funny: "😂", laugh: "😂", hilarious: "😂",
+    sad: "😢", cry: "😢", angry: "😡", scared: "😱", shocked: "😱", wow: "😮",
+    secret: "🤫", mistake: "⚠️", warning: "⚠️", stop: "🛑", wrong: "❌", right: "✅", correct: "✅",
+    idea: "💡", tip: "💡", hack: "💡", think: "🤔", why: "🤔", question: "❓",
+    fast: "⚡", quick: "⚡", faster: "⚡", time: "⏰", growth: "📈", grow: "📈", win: "🏆", winning: "🏆",
+    best: "🏆", goal: "🎯", target: "🎯", rocket: "🚀", launch: "🚀", start: "🚀", ship: "🚀",
+    music: "🎵", food: "🍕", coffee: "☕", phone: "📱", computer: "💻", code: "💻", world: "🌍",
+  },
+  es: {
+    dinero: "💰", rico: "💰", fuego: "🔥", increíble: "🤯", loco: "🤯",
+    amor: "❤️", corazón: "❤️", feliz: "😄", gracioso: "😂", risa: "😂", triste: "😢",
+    miedo: "😱", secreto: "🤫", error: "⚠️", cuidado: "⚠️", alto: "🛑", mal: "❌", bien: "✅",
+    idea: "💡", truco: "💡", consejo: "💡", pregunta: "❓", rápido: "⚡", tiempo: "⏰",
+    crecer: "📈", ganar: "🏆", mejor: "🏆", meta: "🎯", objetivo: "🎯", música: "🎵",
+    comida: "🍕", café: "☕", mundo: "🌍",
+  },
+  fr: {
+    argent: "💰", riche: "💰", feu: "🔥", incroyable: "🤯", fou: "🤯", folle: "🤯",
+    amour: "❤️", cœur: "❤️", heureux: "😄", drôle: "😂", rire: "😂", triste: "😢",
+    peur: "😱", secret: "🤫", erreur: "⚠️", attention: "⚠️", stop: "🛑", faux: "❌", vrai: "✅",
+    idée: "💡", astuce: "💡", conseil: "💡", question: "❓", rapide: "⚡", temps: "⏰",
+    croissance: "📈", gagner: "🏆", meilleur: "🏆", objectif: "🎯", musique: "🎵",
+    nourriture: "🍕", café: "☕", monde: "🌍",
+  },
+  de: {
+    geld: "💰", reich: "💰", feuer: "🔥", unglaublich: "🤯", verrückt: "🤯",
+    liebe: "❤️", herz: "❤️", glücklich: "😄", lustig: "😂", lachen: "😂", traurig: "😢",
+    angst: "😱", geheimnis: "🤫", fehler: "⚠️", achtung: "⚠️", stopp: "🛑", falsch: "❌", richtig: "✅",
+    idee: "💡", tipp: "💡", trick: "💡", frage: "❓", schnell: "⚡", zeit: "⏰",
+    wachstum: "📈", gewinnen: "🏆", beste: "🏆", ziel: "🎯", musik: "🎵",
+    essen: "🍕", kaffee: "☕", welt: "🌍",
+  },
+};
+const STYLE_NAMES = {
+  kinetic: "Kinetic pop",
+  minimal: "Minimal clean",
+  karaoke: "Karaoke sweep",
+  bold: "Bold block",
+};
+const STYLE_POSITIONS = { bottom: 2, middle: 5, top: 8 };
+const STYLE_COLOUR_PATTERN = /^#[0-9a-f]{6}$/i;
+const STYLE_FONT_PATTERN = /^[\w .'-]{1,64}$/;
+const STYLE_PRESETS_PATH = path.join(DATA_DIR, "styles.json");
+const MAX_STYLE_PRESETS = 50;
+const ASS_PLAY_RES = { x: 1080, y: 1920 };
+const ASS_STYLE_DEFAULTS = {
+  FontName: DEFAULT_FONT,
+  FontSize: 52,
+  PrimaryColour: "&H00FFFFFF&",
+  SecondaryColour: "&H00FFFFFF&",
+  OutlineColour: "&H00000000&",
+  BackColour: "&H80000000&",
+  Bold: 0,
+  Italic: 0,
+  Underline: 0,
+  StrikeOut: 0,
+  ScaleX: 100,
+  ScaleY: 100,
+  Spacing: 0,
+  Angle: 0,
+  BorderStyle: 1,
+  Outline: 2,
+  Shadow: 1,
+  Alignment: 2,
+  MarginL: 60,
+  MarginR: 60,
+  MarginV: 120,
+  Encoding: 1,
+};
+
+function createMemoryJobStore() {
+  const jobs = new Map();
+  return {
+    get: (id) => jobs.get(id) || null,
+    set: (job) => {
+      jobs.set(job.id, job);
+    },
+    delete: (id) => {
+      jobs.delete(id);
+    },
+    values: () => Array.from(jobs.values()),
+  };
+}
+
+function createFileJobStore(dir) {
+  const memory = createMemoryJobStore();
+  const pending = new Set();
+  let flushTimer = null;
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      memory.set(JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+    } catch (error) {
+      console.warn(`Skipping unreadable job file ${file}.`);
+    }
+  }
+
+  function writeJob(id) {
+    const job = memory.get(id);
+    if (!job) return;
+    const filePath = path.join(dir, `${id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(job));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function flush() {
+    flushTimer = null;
+    for (const id of pending) {
+      try {
+        writeJob(id);
+      } catch (error) {
+        console.warn(`Unable to persist job ${id}: ${error.message}`);
+      }
+    }
+    pending.clear();
+  }
+
+  process.on("exit", flush);
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => {
+      flush();
+      process.exit(0);
+    });
+  }
+
+  return {
+    ...memory,
+    set(job) {
+      memory.set(job);
+      pending.add(job.id);
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, JOB_STORE_FLUSH_MS);
+      }
+    },
+    delete(id) {
+      memory.delete(id);
+      pending.delete(id);
+      fs.promises.rm(path.join(dir, `${id}.json`), { force: true }).catch(() => {});
+    },
+  };
+}
+
+function createJobStore() {
+  const kind = (process.env.JOB_STORE || "file").toLowerCase();
+  if (kind === "memory") {
+    return createMemoryJobStore();
+  }
+  return createFileJobStore(path.join(DATA_DIR, "jobs"));
+}
+
+function createStylePresetStore(filePath) {
+  let presets = [];
+  try {
+    presets = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`Ignoring unreadable style presets: ${error.message}`);
+    }
+  }
+
+  let writes = Promise.resolve();
+
+  async function write(next) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tmpPath, JSON.stringify(next, null, 2));
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+    presets = next;
+  }
+
+  return {
+    list: () => presets,
+    get: (id) => presets.find((preset) => preset.id === id) || null,
+    add(preset) {
+      const result = writes.then(async () => {
+        if (presets.some((item) => item.id === preset.id)) {
+          return { error: `A preset named "${preset.name}" already exists.` };
+        }
+        if (presets.length >= MAX_STYLE_PRESETS) {
+          return { error: `Limit of ${MAX_STYLE_PRESETS} presets reached.` };
+        }
+        await write([...presets, preset]);
+        return { preset };
+      });
+      writes = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+const jobStore = createJobStore();
+const fontCatalog = loadFontCatalog(FONTS_DIR);
+const stylePresets = createStylePresetStore(STYLE_PRESETS_PATH);
+const jobQueue = [];
+const jobControllers = new Map();
+const jobEvents = new EventEmitter();
+let runningJobs = 0;
+
+jobEvents.setMaxListeners(0);
 
 function createJob() {
   const id = crypto.randomUUID();
@@ -54,17 +398,161 @@ function createJob() {
     outputZip: null,
     error: null,
   };
-  jobs.set(id, job);
+  jobStore.set(job);
   return job;
 }
 
 function updateJob(id, patch) {
-  const job = jobs.get(id);
+  const job = jobStore.get(id);
   if (!job) return null;
+  if (job.status === "cancelled") return job;
   Object.assign(job, patch, { updatedAt: Date.now() });
+  jobStore.set(job);
+  jobEvents.emit(id, job);
+  return job;
+}
+
+function setJobProgress(jobId, progress, patch = {}) {
+  const job = jobStore.get(jobId);
+  if (!job) return null;
+  const current = job.progress || 0;
+  const next = Math.min(1, Math.max(current, progress));
+  if (next - current < PROGRESS_MIN_DELTA && !Object.keys(patch).length) return job;
+  return updateJob(jobId, { ...patch, progress: next });
+}
+
+function createProgressRange(jobId, [from, to]) {
+  return (fraction) => {
+    const clamped = Math.min(1, Math.max(0, fraction || 0));
+    return setJobProgress(jobId, from + (to - from) * clamped);
+  };
+}
+
+function setClipProgress(jobId, clipId, fraction) {
+  const job = jobStore.get(jobId);
+  if (!job || !job.clips?.length) return null;
+  const clamped = Math.min(1, Math.max(0, fraction || 0));
+  const clipStates = job.clips.map((state) =>
+    state.id === clipId ? { ...state, progress: Math.max(state.progress, clamped) } : state
+  );
+  const overall = clipStates.reduce((sum, state) => sum + state.progress, 0) / clipStates.length;
+  const [from, to] = PROGRESS_PHASES.render;
+  const progress = from + (to - from) * overall;
+  if (clamped < 1 && progress - (job.progress || 0) < PROGRESS_MIN_DELTA) return job;
+  return setJobProgress(jobId, progress, { clips: clipStates });
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    step: job.step,
+    message: job.error ? job.error : job.message,
+    progress: job.progress,
+    clips: job.clips || [],
+    queuePosition: getQueuePosition(job.id),
+    downloadReady: Boolean(job.outputZip),
+  };
+}
+
+async function removeJobDir(job) {
+  for (const dir of [job.jobDir, job.uploadDir]) {
+    if (!dir) continue;
+    try {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    } catch (error) {
+      // ignore cleanup errors
+    }
+  }
+}
+
+function enqueueJob(jobId) {
+  jobQueue.push(jobId);
+  drainQueue();
+}
+
+function drainQueue() {
+  while (runningJobs < MAX_CONCURRENT_JOBS && jobQueue.length) {
+    const jobId = jobQueue.shift();
+    const job = jobStore.get(jobId);
+    if (!job || job.status !== "queued") continue;
+
+    runningJobs += 1;
+    runJob(jobId, job.payload).finally(() => {
+      runningJobs -= 1;
+      drainQueue();
+    });
+  }
+
+  for (const queuedId of jobQueue) {
+    const queued = jobStore.get(queuedId);
+    if (queued) jobEvents.emit(queuedId, queued);
+  }
+}
+
+async function cancelJob(jobId) {
+  const queueIndex = jobQueue.indexOf(jobId);
+  if (queueIndex !== -1) {
+    jobQueue.splice(queueIndex, 1);
+  }
+
+  const controller = jobControllers.get(jobId);
+  if (controller) {
+    controller.abort();
+  }
+
+  const job = updateJob(jobId, {
+    status: "cancelled",
+    message: "Job cancelled.",
+    outputZip: null,
+  });
+  await removeJobDir(job);
   return job;
 }
 
+function getQueuePosition(jobId) {
+  const index = jobQueue.indexOf(jobId);
+  return index === -1 ? null : index + 1;
+}
+
+function reconcileJobs() {
+  const resumable = [];
+
+  for (const job of jobStore.values()) {
+    if (job.status === "queued" && job.payload) {
+      resumable.push(job);
+      continue;
+    }
+
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      removeJobDir(job);
+      updateJob(job.id, {
+        status: "error",
+        message: "Processing failed.",
+        error: "The server restarted while this job was running. Start it again.",
+        jobDir: null,
+      });
+      continue;
+    }
+
+    if (job.status === REVIEW_STATUS && (!job.jobDir || !fs.existsSync(job.jobDir))) {
+      updateJob(job.id, {
+        status: "error",
+        message: "Processing failed.",
+        error: "Review candidates expired. Start the job again.",
+        jobDir: null,
+      });
+      continue;
+    }
+
+    if (job.outputZip && !fs.existsSync(job.outputZip)) {
+      updateJob(job.id, { outputZip: null, error: "Export expired. Start the job again." });
+    }
+  }
+
+  return resumable.sort((a, b) => a.createdAt - b.createdAt);
+}
+
 function sanitizeTitle(title) {
   return (title || "clipspark")
     .replace(/[/\\?%*:|"<>]/g, "")
@@ -91,6 +579,108 @@ function buildVttTime(seconds) {
   return `${String(hrs).padStart(2, "0")}:${String(mins).padStart(2, "0")}:${String(secs).padStart(2, "0")}.${String(ms).padStart(3, "0")}`;
 }
 
+function resolvePlatforms(platforms) {
+  if (!platforms || typeof platforms !== "object") {
+    return Object.keys(PLATFORM_PROFILES);
+  }
+  return Object.keys(PLATFORM_PROFILES).filter((platform) => Boolean(platforms[platform]));
+}
+
+function buildAssTime(seconds) {
+  const totalCs = Math.max(0, Math.round(seconds * 100));
+  const hrs = Math.floor(totalCs / 360000);
+  const mins = Math.floor((totalCs % 360000) / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+  const cs = totalCs % 100;
+  return `${hrs}:${String(mins).padStart(2, "0")}:${String(secs).padStart(2, "0")}.${String(cs).padStart(2, "0")}`;
+}
+
+function escapeAssText(text) {
+  return text.replace(/[{}\\]/g, "").replace(/\r?\n/g, "\\N");
+}
+
+function parseForceStyle(forceStyle) {
+  return forceStyle.split(",").reduce((style, pair) => {
+    const [key, value] = pair.split("=");
+    if (key && value !== undefined) style[key.trim()] = value.trim();
+    return style;
+  }, {});
+}
+
+function readFontNames(buffer, offset) {
+  const tableCount = buffer.readUInt16BE(offset + 4);
+  let nameTable = null;
+  for (let index = 0; index < tableCount; index += 1) {
+    const record = offset + 12 + index * 16;
+    if (buffer.toString("latin1", record, record + 4) === "name") {
+      nameTable = buffer.readUInt32BE(record + 8);
+    }
+  }
+  if (nameTable === null) return null;
+
+  const count = buffer.readUInt16BE(nameTable + 2);
+  const stringStart = nameTable + buffer.readUInt16BE(nameTable + 4);
+  const names = {};
+  for (let index = 0; index < count; index += 1) {
+    const record = nameTable + 6 + index * 12;
+    const platformId = buffer.readUInt16BE(record);
+    const languageId = buffer.readUInt16BE(record + 4);
+    const nameId = buffer.readUInt16BE(record + 6);
+    const length = buffer.readUInt16BE(record + 8);
+    const start = stringStart + buffer.readUInt16BE(record + 10);
+    if (![1, 2, 16, 17].includes(nameId) || names[nameId]) continue;
+    if (platformId === 3 && languageId === 0x409) {
+      names[nameId] = Buffer.from(buffer.subarray(start, start + length)).swap16().toString("utf16le");
+    } else if (platformId === 1 && languageId === 0) {
+      names[nameId] = buffer.toString("latin1", start, start + length);
+    }
+  }
+
+  const family = names[16] || names[1];
+  return family ? { family, style: names[17] || names[2] || "Regular" } : null;
+}
+
+function readFontFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.toString("latin1", 0, 4) !== "ttcf") {
+    return [readFontNames(buffer, 0)].filter(Boolean);
+  }
+
+  const fontCount = buffer.readUInt32BE(8);
+  return Array.from({ length: fontCount }, (_, index) => readFontNames(buffer, buffer.readUInt32BE(12 + index * 4)))
+    .filter(Boolean);
+}
+
+function loadFontCatalog(dir) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((file) => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  } catch (error) {
+    console.warn(`Fonts directory unavailable (${dir}): ${error.message}`);
+  }
+
+  const families = new Map();
+  for (const file of files) {
+    try {
+      for (const { family, style } of readFontFile(path.join(dir, file))) {
+        const entry = families.get(family) || { family, styles: [], files: [] };
+        if (!entry.styles.includes(style)) entry.styles.push(style);
+        if (!entry.files.includes(file)) entry.files.push(file);
+        families.set(family, entry);
+      }
+    } catch (error) {
+      console.warn(`Skipping unreadable font ${file}: ${error.message}`);
+    }
+  }
+
+  for (const family of [DEFAULT_FONT, EMOJI_FONT]) {
+    if (!families.has(family)) {
+      console.warn(`Subtitle font "${family}" not found in ${dir}; libass will fall back.`);
+    }
+  }
+  return [...families.values()].sort((a, b) => a.family.localeCompare(b.family));
+}
+
 function escapeFilterPath(filePath) {
   return filePath.replace(/\\/g, "/").replace(/:/g, "\\:").replace(/'/g, "\\'");
 }
@@ -132,22 +722,371 @@ function buildYtdlOptions() {
   return options;
 }
 
-async function extractAudio(videoPath, audioPath) {
-  await new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
-      .noVideo()
-      .audioCodec("aac")
-      .audioBitrate("64k")
-      .audioChannels(1)
-      .audioFrequency(16000)
-      .outputOptions(["-movflags", "+faststart"])
-      .on("end", resolve)
-      .on("error", reject)
-      .save(audioPath);
+function parseTimemark(timemark) {
+  const parts = String(timemark || "").split(":").map(Number);
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return 0;
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+}
+
+function runFfmpeg(command, outputPath, { signal, duration, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => command.kill("SIGKILL");
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    if (onProgress && duration > 0) {
+      command.on("progress", (progress) => {
+        onProgress(parseTimemark(progress.timemark) / duration);
+      });
+    }
+
+    command
+      .on("end", () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      })
+      .on("error", (error) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(signal?.aborted ? signal.reason : error);
+      })
+      .save(outputPath);
+  });
+}
+
+function runProcess(command, args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { signal, stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+
+    child.stderr.on("data", (chunk) => {
+      stderr = `${stderr}${chunk}`.slice(-2000);
+    });
+    child.on("error", (error) => {
+      reject(signal?.aborted ? signal.reason : error);
+    });
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      const detail = stderr.trim().split("\n").pop() || "no output";
+      reject(new Error(`${path.basename(command)} exited with code ${code}: ${detail}`));
+    });
+  });
+}
+
+async function extractAudio(videoPath, audioPath, { signal, duration, onProgress } = {}) {
+  const command = ffmpeg(videoPath).noVideo().audioChannels(1).audioFrequency(16000);
+
+  if (path.extname(audioPath) === ".wav") {
+    command.audioCodec("pcm_s16le");
+  } else {
+    command.audioCodec("aac").audioBitrate("64k").outputOptions(["-movflags", "+faststart"]);
+  }
+
+  await runFfmpeg(command, audioPath, { signal, duration, onProgress });
+}
+
+async function detectSilences(audioPath, signal) {
+  const silences = [];
+  let silenceStart = null;
+
+  const command = ffmpeg(audioPath)
+    .noVideo()
+    .audioFilters(`silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SECONDS}`)
+    .format("null")
+    .on("stderr", (line) => {
+      const startMatch = /silence_start: (-?[\d.]+)/.exec(line);
+      const endMatch = /silence_end: ([\d.]+)/.exec(line);
+      if (startMatch) silenceStart = Math.max(0, Number(startMatch[1]));
+      if (endMatch && silenceStart !== null) {
+        silences.push({ start: silenceStart, end: Number(endMatch[1]) });
+        silenceStart = null;
+      }
+    });
+
+  await runFfmpeg(command, "-", { signal });
+  return silences;
+}
+
+async function measureLoudness(mediaPath, { signal, duration, onProgress } = {}) {
+  const loudness = [];
+
+  const command = ffmpeg(mediaPath)
+    .noVideo()
+    .audioFilters("ebur128")
+    .format("null")
+    .on("stderr", (line) => {
+      const match = /\bt:\s*([\d.]+).*?\bM:\s*(-?[\d.]+|-inf)/.exec(line);
+      if (!match) return;
+      const second = Math.floor(Number(match[1]));
+      const value = Math.max(LOUDNESS_FLOOR_LUFS, Number(match[2]) || LOUDNESS_FLOOR_LUFS);
+      loudness[second] = Math.max(loudness[second] ?? LOUDNESS_FLOOR_LUFS, value);
+    });
+
+  await runFfmpeg(command, "-", { signal, duration, onProgress });
+  return Array.from(loudness, (value) => value ?? LOUDNESS_FLOOR_LUFS);
+}
+
+async function detectSceneCuts(videoPath, { signal, duration, onProgress } = {}) {
+  const cuts = [];
+
+  const command = ffmpeg(videoPath)
+    .inputOptions(["-skip_frame", "nokey"])
+    .noAudio()
+    .videoFilters(["scale=96:-2", `select='gt(scene,${SCENE_CHANGE_THRESHOLD})'`, "showinfo"])
+    .outputOptions(["-vsync", "0"])
+    .format("null")
+    .on("stderr", (line) => {
+      if (!line.includes("showinfo")) return;
+      const match = /pts_time:\s*([\d.]+)/.exec(line);
+      if (match) cuts.push(Number(match[1]));
+    });
+
+  await runFfmpeg(command, "-", { signal, duration, onProgress });
+  return cuts;
+}
+
+function medianLoudness(loudness) {
+  const audible = loudness.filter((value) => value > LOUDNESS_FLOOR_LUFS).sort((a, b) => a - b);
+  return audible.length ? audible[Math.floor(audible.length / 2)] : null;
+}
+
+function findLoudBursts(loudness, transcript) {
+  const bursts = transcript
+    .filter((item) => BURST_CAPTION_PATTERN.test(item.text))
+    .map((item) => ({ start: item.offset, end: item.offset + item.duration }));
+
+  const median = medianLoudness(loudness);
+  if (median === null) return bursts;
+
+  const threshold = median + LOUDNESS_PEAK_LU;
+  let burstStart = null;
+  loudness.concat(LOUDNESS_FLOOR_LUFS).forEach((value, second) => {
+    if (value >= threshold) {
+      if (burstStart === null) burstStart = second;
+      return;
+    }
+    if (burstStart !== null && second - burstStart >= BURST_MIN_SECONDS) {
+      bursts.push({ start: burstStart, end: second });
+    }
+    burstStart = null;
   });
+
+  return bursts;
+}
+
+async function analyzeHighlightSignals({ jobId, info, transcript, videoPath, loadMedia, videoDuration, signal }) {
+  const signals = {
+    loudness: [],
+    bursts: findLoudBursts([], transcript),
+    sceneCuts: [],
+    heat: parseHeatMarkers(info),
+    chapters: parseChapters(info, videoDuration),
+  };
+  const wantsAudio = HIGHLIGHT_SIGNALS.includes("audio");
+  const wantsScenes = HIGHLIGHT_SIGNALS.includes("scenes") && Boolean(videoPath);
+  if (!wantsAudio && !wantsScenes) return signals;
+
+  const [from, to] = PROGRESS_PHASES.signals;
+  const split = wantsAudio && wantsScenes ? (from + to) / 2 : wantsAudio ? to : from;
+
+  try {
+    if (wantsAudio) {
+      updateJob(jobId, { message: "Measuring audio peaks..." });
+      const mediaPath = await loadMedia();
+      signals.loudness = await measureLoudness(mediaPath, {
+        signal,
+        duration: videoDuration,
+        onProgress: createProgressRange(jobId, [from, split]),
+      });
+      signals.bursts = findLoudBursts(signals.loudness, transcript);
+    }
+
+    if (wantsScenes) {
+      updateJob(jobId, { message: "Detecting scene changes..." });
+      signals.sceneCuts = await detectSceneCuts(videoPath, {
+        signal,
+        duration: videoDuration,
+        onProgress: createProgressRange(jobId, [split, to]),
+      });
+    }
+  } catch (error) {
+    if (signal.aborted) throw error;
+    console.warn(`Highlight signal analysis failed: ${error.message}`);
+  }
+
+  return signals;
+}
+
+function planAudioChunks(totalDuration, chunkSeconds, silences) {
+  const cuts = [0];
+  while (totalDuration - cuts[cuts.length - 1] > chunkSeconds) {
+    const nominal = cuts[cuts.length - 1] + chunkSeconds;
+    const nearby = silences
+      .map((silence) => (silence.start + silence.end) / 2)
+      .filter((mid) => Math.abs(mid - nominal) <= AUDIO_CHUNK_SNAP_SECONDS && mid < nominal);
+    const cut = nearby.length
+      ? nearby.reduce((best, mid) => (Math.abs(mid - nominal) < Math.abs(best - nominal) ? mid : best))
+      : nominal;
+    cuts.push(cut);
+  }
+  cuts.push(totalDuration);
+
+  return cuts.slice(0, -1).map((cut, index) => ({
+    start: Math.max(0, cut - AUDIO_CHUNK_OVERLAP_SECONDS),
+    end: Math.min(totalDuration, cuts[index + 1] + AUDIO_CHUNK_OVERLAP_SECONDS),
+    keepFrom: cut,
+    keepTo: cuts[index + 1],
+  }));
+}
+
+async function splitAudio(audioPath, maxBytes, signal) {
+  const stats = await fs.promises.stat(audioPath);
+  if (stats.size <= maxBytes) {
+    return [{ path: audioPath, start: 0, keepFrom: 0, keepTo: Infinity }];
+  }
+
+  const metadata = await probeMedia(audioPath);
+  const totalDuration = Number(metadata.format?.duration) || 0;
+  if (!totalDuration) {
+    throw new Error("Unable to read audio duration for chunked transcription.");
+  }
+
+  const bytesPerSecond = stats.size / totalDuration;
+  const chunkSeconds = Math.max(
+    60,
+    Math.floor((maxBytes * AUDIO_CHUNK_HEADROOM) / bytesPerSecond) - AUDIO_CHUNK_OVERLAP_SECONDS * 2
+  );
+  const silences = await detectSilences(audioPath, signal);
+  const chunks = planAudioChunks(totalDuration, chunkSeconds, silences);
+  const extension = path.extname(audioPath);
+
+  for (const [index, chunk] of chunks.entries()) {
+    chunk.path = `${audioPath.slice(0, -extension.length)}.part${index + 1}${extension}`;
+    const command = ffmpeg(audioPath)
+      .setStartTime(chunk.start)
+      .duration(chunk.end - chunk.start)
+      .audioCodec("copy");
+    await runFfmpeg(command, chunk.path, { signal });
+  }
+
+  return chunks;
+}
+
+function shiftSegments(segments, seconds) {
+  return segments.map((segment) => ({
+    ...segment,
+    offset: segment.offset + seconds,
+    ...(segment.words
+      ? { words: segment.words.map((word) => ({ ...word, offset: word.offset + seconds })) }
+      : {}),
+  }));
+}
+
+function normalizeSegmentText(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").replace(/\s+/g, " ").trim();
+}
+
+function stitchChunkSegments(chunkResults) {
+  const stitched = [];
+
+  for (const { chunk, segments } of chunkResults) {
+    for (const segment of shiftSegments(segments, chunk.start)) {
+      const midpoint = segment.offset + segment.duration / 2;
+      if (midpoint < chunk.keepFrom || midpoint >= chunk.keepTo) continue;
+
+      const previous = stitched[stitched.length - 1];
+      if (
+        previous &&
+        segment.offset < previous.offset + previous.duration &&
+        normalizeSegmentText(previous.text) === normalizeSegmentText(segment.text)
+      ) {
+        continue;
+      }
+      stitched.push(segment);
+    }
+  }
+
+  return stitched;
+}
+
+function parseCaptionTime(value) {
+  const match = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/.exec(value || "");
+  if (!match) return null;
+  const [, hrs = "0", mins, secs, ms] = match;
+  return Number(hrs) * 3600 + Number(mins) * 60 + Number(secs) + Number(ms.padEnd(3, "0")) / 1000;
+}
+
+function parseCaptionFile(content) {
+  return content
+    .replace(/\r/g, "")
+    .split(/\n{2,}/)
+    .map((block) => {
+      const lines = block.trim().split("\n");
+      const timeIndex = lines.findIndex((line) => line.includes("-->"));
+      if (timeIndex === -1) return null;
+      const [from, to] = lines[timeIndex].split("-->");
+      const offset = parseCaptionTime(from);
+      const end = parseCaptionTime(to);
+      const text = lines
+        .slice(timeIndex + 1)
+        .join(" ")
+        .replace(/<[^>]+>/g, "")
+        .trim();
+      if (offset === null || end === null || !text) return null;
+      return { text, offset, duration: Math.max(0, end - offset) };
+    })
+    .filter(Boolean);
+}
+
+async function transcribeWithWhisperCpp(audioPath, language, signal) {
+  const outputBase = audioPath.replace(/\.[^.]+$/, "");
+  await runProcess(
+    WHISPER_CPP_BIN,
+    [
+      "-m", WHISPER_CPP_MODEL,
+      "-f", audioPath,
+      "-l", language || "auto",
+      "-t", String(WHISPER_CPP_THREADS),
+      "-oj",
+      "-of", outputBase,
+      "-np",
+    ],
+    { signal }
+  );
+
+  const data = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, "utf8"));
+  return (data.transcription || [])
+    .map((segment) => {
+      const from = Number(segment.offsets?.from) || 0;
+      const to = Number(segment.offsets?.to) || 0;
+      return {
+        text: (segment.text || "").trim(),
+        offset: from / 1000,
+        duration: Math.max(0, (to - from) / 1000),
+      };
+    })
+    .filter((segment) => segment.text && segment.duration > 0.02);
+}
+
+async function transcribeWithVosk(audioPath, language, signal) {
+  const outputPath = audioPath.replace(/\.[^.]+$/, ".vosk.srt");
+  await runProcess(
+    VOSK_BIN,
+    ["-m", VOSK_MODEL, "-i", audioPath, "-t", "srt", "-o", outputPath],
+    { signal }
+  );
+
+  const content = await fs.promises.readFile(outputPath, "utf8");
+  return parseCaptionFile(content).filter((segment) => segment.duration > 0.02);
 }
 
-async function transcribeWithOpenAI(audioPath, language) {
+async function transcribeWithOpenAI(audioPath, language, signal) {
   const apiKey = process.env.OPENAI_API_KEY;
   if (!apiKey) return null;
 
@@ -168,6 +1107,8 @@ async function transcribeWithOpenAI(audioPath, language) {
   form.append("file", file);
   form.append("model", model);
   form.append("response_format", "verbose_json");
+  form.append("timestamp_granularities[]", "segment");
+  form.append("timestamp_granularities[]", "word");
   if (language) {
     form.append("language", language);
   }
@@ -176,6 +1117,7 @@ async function transcribeWithOpenAI(audioPath, language) {
     method: "POST",
     headers: { Authorization: `Bearer ${apiKey}` },
     body: form,
+    signal,
   });
 
   const data = await res.json().catch(() => ({}));
@@ -187,30 +1129,470 @@ async function transcribeWithOpenAI(audioPath, language) {
     throw new Error("OpenAI transcription returned no segments.");
   }
 
+  const words = (data.words || []).map((word) => ({
+    text: (word.word || "").trim(),
+    offset: Number(word.start) || 0,
+    duration: Math.max(0, (Number(word.end) || 0) - (Number(word.start) || 0)),
+  }));
+
   return data.segments
-    .map((segment) => ({
-      text: (segment.text || "").trim(),
-      offset: Number(segment.start) || 0,
-      duration: Math.max(0, (Number(segment.end) || 0) - (Number(segment.start) || 0)),
-    }))
+    .map((segment) => {
+      const offset = Number(segment.start) || 0;
+      const end = Number(segment.end) || 0;
+      const segmentWords = words.filter(
+        (word) => word.text && word.offset >= offset - 0.05 && word.offset < end
+      );
+      return {
+        text: (segment.text || "").trim(),
+        offset,
+        duration: Math.max(0, end - offset),
+        ...(segmentWords.length ? { words: segmentWords } : {}),
+      };
+    })
     .filter((segment) => segment.text && segment.duration > 0.02);
 }
 
-async function getTranscriptWithFallback({ url, language, videoPath, jobId, jobDir }) {
-  const youtubeTranscript = await fetchTranscript(url, language);
-  if (youtubeTranscript && youtubeTranscript.length) {
-    return youtubeTranscript;
-  }
+const TRANSCRIPTION_PROVIDERS = {
+  whisper: {
+    name: "whisper.cpp",
+    audioFile: "audio.wav",
+    isAvailable: () => Boolean(WHISPER_CPP_MODEL) && fs.existsSync(WHISPER_CPP_MODEL),
+    transcribe: transcribeWithWhisperCpp,
+  },
+  vosk: {
+    name: "Vosk",
+    audioFile: "audio.wav",
+    isAvailable: () => Boolean(VOSK_MODEL) && fs.existsSync(VOSK_MODEL),
+    transcribe: transcribeWithVosk,
+  },
+  openai: {
+    name: "OpenAI",
+    audioFile: "audio.m4a",
+    maxBytes: MAX_OPENAI_AUDIO_BYTES,
+    isAvailable: () => Boolean(process.env.OPENAI_API_KEY),
+    transcribe: transcribeWithOpenAI,
+  },
+};
 
-  if (!process.env.OPENAI_API_KEY) {
+function selectTranscriptionProvider() {
+  if (TRANSCRIBE_PROVIDER === "none") {
     return null;
   }
 
-  updateJob(jobId, { step: 1, message: "Transcribing audio with OpenAI...", progress: 0.25 });
+  if (TRANSCRIBE_PROVIDER !== "auto") {
+    const provider = TRANSCRIPTION_PROVIDERS[TRANSCRIBE_PROVIDER];
+    if (!provider) {
+      throw new Error(`Unknown TRANSCRIBE_PROVIDER "${TRANSCRIBE_PROVIDER}".`);
+    }
+    if (!provider.isAvailable()) {
+      throw new Error(`${provider.name} transcription is not configured on this server.`);
+    }
+    return provider;
+  }
+
+  return Object.values(TRANSCRIPTION_PROVIDERS).find((provider) => provider.isAvailable()) || null;
+}
+
+async function getTranscriptWithFallback({
+  url,
+  captionsPath,
+  language,
+  loadMedia,
+  videoDuration,
+  jobId,
+  jobDir,
+  signal,
+}) {
+  if (captionsPath) {
+    const captions = parseCaptionFile(await fs.promises.readFile(captionsPath, "utf8"));
+    if (captions.length) {
+      return captions;
+    }
+  }
+
+  const youtubeTranscript = url ? await fetchTranscript(url, language) : null;
+  if (youtubeTranscript && youtubeTranscript.length) {
+    return youtubeTranscript;
+  }
+
+  const provider = selectTranscriptionProvider();
+  if (!provider) {
+    return null;
+  }
+
+  updateJob(jobId, { step: 1, message: `Transcribing audio with ${provider.name}...` });
+
+  const mediaPath = await loadMedia();
+  const audioPath = path.join(jobDir, provider.audioFile);
+  await extractAudio(mediaPath, audioPath, {
+    signal,
+    duration: videoDuration,
+    onProgress: createProgressRange(jobId, PROGRESS_PHASES.transcript),
+  });
+
+  if (!provider.maxBytes) {
+    return await provider.transcribe(audioPath, language, signal);
+  }
+
+  const chunks = await splitAudio(audioPath, provider.maxBytes, signal);
+  const chunkResults = [];
+  for (const [index, chunk] of chunks.entries()) {
+    if (chunks.length > 1) {
+      updateJob(jobId, {
+        message: `Transcribing audio with ${provider.name} (part ${index + 1} of ${chunks.length})...`,
+      });
+    }
+    const segments = await provider.transcribe(chunk.path, language, signal);
+    chunkResults.push({ chunk, segments: segments || [] });
+  }
+
+  return stitchChunkSegments(chunkResults);
+}
+
+function fftInPlace(re, im, twiddles) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i += 1) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let i = 0; i < n; i += size) {
+      for (let k = 0; k < half; k += 1) {
+        const cos = twiddles.cos[k * step];
+        const sin = twiddles.sin[k * step];
+        const a = i + k;
+        const b = a + half;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+function createMelFilterbank(frameSize, sampleRate, bands) {
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+  const toHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+  const maxMel = toMel(sampleRate / 2);
+  const points = Array.from({ length: bands + 2 }, (_, index) =>
+    Math.floor(((frameSize + 1) * toHz((maxMel * index) / (bands + 1))) / sampleRate)
+  );
+
+  return Array.from({ length: bands }, (_, band) => {
+    const [left, center, right] = [points[band], points[band + 1], points[band + 2]];
+    const weights = new Float64Array(frameSize / 2 + 1);
+    for (let bin = left; bin < right; bin += 1) {
+      weights[bin] =
+        bin < center ? (bin - left) / Math.max(1, center - left) : (right - bin) / Math.max(1, right - center);
+    }
+    return weights;
+  });
+}
+
+async function extractMfccFrames(mediaPath, { signal, duration } = {}) {
+  const size = DIARIZE_FRAME_SIZE;
+  const filterbank = createMelFilterbank(size, DIARIZE_SAMPLE_RATE, DIARIZE_MEL_BANDS);
+  const window = Float64Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1)));
+  const twiddles = {
+    cos: Float64Array.from({ length: size / 2 }, (_, k) => Math.cos((-2 * Math.PI * k) / size)),
+    sin: Float64Array.from({ length: size / 2 }, (_, k) => Math.sin((-2 * Math.PI * k) / size)),
+  };
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const mel = new Float64Array(DIARIZE_MEL_BANDS);
+  const frames = [];
+  let pending = Buffer.alloc(0);
+  let sampleIndex = 0;
+
+  const processFrame = (buffer, offset) => {
+    let energy = 0;
+    for (let i = 0; i < size; i += 1) {
+      const sample = buffer.readInt16LE(offset + i * 2) / 32768;
+      energy += sample * sample;
+      re[i] = sample * window[i];
+      im[i] = 0;
+    }
+    fftInPlace(re, im, twiddles);
+
+    for (let band = 0; band < DIARIZE_MEL_BANDS; band += 1) {
+      const weights = filterbank[band];
+      let sum = 0;
+      for (let bin = 0; bin <= size / 2; bin += 1) {
+        if (weights[bin]) sum += weights[bin] * (re[bin] * re[bin] + im[bin] * im[bin]);
+      }
+      mel[band] = Math.log(sum + 1e-10);
+    }
+
+    const coefficients = new Float32Array(DIARIZE_MFCC_COUNT);
+    for (let c = 0; c < DIARIZE_MFCC_COUNT; c += 1) {
+      let sum = 0;
+      for (let band = 0; band < DIARIZE_MEL_BANDS; band += 1) {
+        sum += mel[band] * Math.cos((Math.PI * (c + 1) * (band + 0.5)) / DIARIZE_MEL_BANDS);
+      }
+      coefficients[c] = sum;
+    }
+
+    frames.push({ time: sampleIndex / DIARIZE_SAMPLE_RATE, energy: Math.log(energy / size + 1e-10), coefficients });
+  };
+
+  const output = new PassThrough();
+  output.on("data", (chunk) => {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    let offset = 0;
+    while (offset + size * 2 <= pending.length) {
+      processFrame(pending, offset);
+      offset += DIARIZE_HOP_SIZE * 2;
+      sampleIndex += DIARIZE_HOP_SIZE;
+    }
+    pending = pending.subarray(Math.min(offset, pending.length));
+  });
+
+  const command = ffmpeg(mediaPath)
+    .noVideo()
+    .audioChannels(1)
+    .audioFrequency(DIARIZE_SAMPLE_RATE)
+    .outputOptions(["-f", "s16le", "-acodec", "pcm_s16le"]);
+
+  await runFfmpeg(command, output, { signal, duration });
+  return frames;
+}
+
+function buildSpeakerEmbeddings(transcript, frames) {
+  const energies = frames.map((frame) => frame.energy).sort((a, b) => a - b);
+  const voicedFloor = energies.length ? energies[Math.floor(energies.length / 2)] - DIARIZE_VOICED_RANGE : 0;
+  const dims = DIARIZE_MFCC_COUNT;
+  let cursor = 0;
+
+  const embeddings = transcript.map((item) => {
+    const end = item.offset + item.duration;
+    while (cursor < frames.length && frames[cursor].time < item.offset) cursor += 1;
+    const voiced = [];
+    for (let index = cursor; index < frames.length && frames[index].time < end; index += 1) {
+      if (frames[index].energy > voicedFloor) voiced.push(frames[index].coefficients);
+    }
+    if (voiced.length < DIARIZE_MIN_FRAMES) return null;
+
+    const embedding = new Float64Array(dims * 2);
+    for (const coefficients of voiced) {
+      for (let d = 0; d < dims; d += 1) embedding[d] += coefficients[d] / voiced.length;
+    }
+    for (const coefficients of voiced) {
+      for (let d = 0; d < dims; d += 1) embedding[dims + d] += (coefficients[d] - embedding[d]) ** 2 / voiced.length;
+    }
+    for (let d = 0; d < dims; d += 1) embedding[dims + d] = Math.sqrt(embedding[dims + d]);
+    return embedding;
+  });
+
+  const present = embeddings.filter(Boolean);
+  if (!present.length) return embeddings;
+  const length = present[0].length;
+  const mean = new Float64Array(length);
+  const deviation = new Float64Array(length);
+  present.forEach((embedding) => embedding.forEach((value, d) => (mean[d] += value / present.length)));
+  present.forEach((embedding) =>
+    embedding.forEach((value, d) => (deviation[d] += (value - mean[d]) ** 2 / present.length))
+  );
+
+  return embeddings.map((embedding) =>
+    embedding ? embedding.map((value, d) => (value - mean[d]) / (Math.sqrt(deviation[d]) || 1)) : null
+  );
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let d = 0; d < a.length; d += 1) sum += (a[d] - b[d]) ** 2;
+  return sum;
+}
+
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function runKMeans(points, k, random) {
+  const centroids = [points[Math.floor(random() * points.length)]];
+  while (centroids.length < k) {
+    const distances = points.map((point) => Math.min(...centroids.map((centroid) => squaredDistance(point, centroid))));
+    let target = random() * distances.reduce((sum, distance) => sum + distance, 0);
+    const index = distances.findIndex((distance) => (target -= distance) <= 0);
+    centroids.push(points[index === -1 ? points.length - 1 : index]);
+  }
+
+  let labels = new Array(points.length).fill(0);
+  for (let iteration = 0; iteration < DIARIZE_ITERATIONS; iteration += 1) {
+    labels = points.map((point) =>
+      centroids.reduce(
+        (best, centroid, index) => (squaredDistance(point, centroid) < squaredDistance(point, centroids[best]) ? index : best),
+        0
+      )
+    );
+    for (let cluster = 0; cluster < k; cluster += 1) {
+      const members = points.filter((_, index) => labels[index] === cluster);
+      if (!members.length) continue;
+      centroids[cluster] = members[0].map((_, d) => members.reduce((sum, member) => sum + member[d], 0) / members.length);
+    }
+  }
+
+  const inertia = points.reduce((sum, point, index) => sum + squaredDistance(point, centroids[labels[index]]), 0);
+  return { labels, inertia };
+}
 
-  const audioPath = path.join(jobDir, "audio.m4a");
-  await extractAudio(videoPath, audioPath);
-  return await transcribeWithOpenAI(audioPath, language);
+function clusterEmbeddings(points, k) {
+  const random = createSeededRandom(k);
+  let best = null;
+  for (let restart = 0; restart < DIARIZE_RESTARTS; restart += 1) {
+    const result = runKMeans(points, k, random);
+    if (!best || result.inertia < best.inertia) best = result;
+  }
+  return best.labels;
+}
+
+function silhouetteScore(points, labels) {
+  const step = Math.max(1, Math.floor(points.length / DIARIZE_SILHOUETTE_SAMPLE));
+  const sample = points.map((point, index) => ({ point, label: labels[index] })).filter((_, index) => index % step === 0);
+  let total = 0;
+  let scored = 0;
+
+  for (const { point, label } of sample) {
+    const sums = new Map();
+    for (const other of sample) {
+      if (other.point === point) continue;
+      const entry = sums.get(other.label) || { sum: 0, count: 0 };
+      entry.sum += Math.sqrt(squaredDistance(point, other.point));
+      entry.count += 1;
+      sums.set(other.label, entry);
+    }
+    const own = sums.get(label);
+    const others = Array.from(sums.entries()).filter(([other]) => other !== label);
+    if (!own || !others.length) continue;
+    const inside = own.sum / own.count;
+    const outside = Math.min(...others.map(([, entry]) => entry.sum / entry.count));
+    const spread = Math.max(inside, outside);
+    total += spread ? (outside - inside) / spread : 0;
+    scored += 1;
+  }
+
+  return scored ? total / scored : 0;
+}
+
+function assignSpeakerClusters(transcript, frames) {
+  const embeddings = buildSpeakerEmbeddings(transcript, frames);
+  const indexed = embeddings.map((embedding, index) => ({ embedding, index })).filter((item) => item.embedding);
+  const points = indexed.map((item) => item.embedding);
+  if (points.length < 2) return transcript;
+
+  let best = { score: DIARIZE_MIN_SILHOUETTE, labels: new Array(points.length).fill(0) };
+  for (let k = 2; k <= Math.min(MAX_SPEAKERS, points.length - 1); k += 1) {
+    const labels = clusterEmbeddings(points, k);
+    const shares = Array.from({ length: k }, (_, cluster) => labels.filter((label) => label === cluster).length / labels.length);
+    if (shares.some((share) => share < DIARIZE_MIN_SHARE)) continue;
+    const score = silhouetteScore(points, labels);
+    if (score > best.score) best = { score, labels };
+  }
+
+  const speakerByIndex = new Map(indexed.map((item, position) => [item.index, best.labels[position]]));
+  return relabelSpeakers(transcript, (item, index) => speakerByIndex.get(index));
+}
+
+function relabelSpeakers(transcript, speakerOf) {
+  const order = new Map();
+  let previous = null;
+
+  return transcript.map((item, index) => {
+    const raw = speakerOf(item, index);
+    const key = raw === undefined || raw === null ? previous : raw;
+    if (key === null) return item;
+    if (!order.has(key)) order.set(key, order.size + 1);
+    previous = key;
+    return { ...item, speaker: order.get(key) };
+  });
+}
+
+async function diarizeWithOpenAI(audioPath, signal) {
+  const stats = await fs.promises.stat(audioPath);
+  if (stats.size > MAX_OPENAI_AUDIO_BYTES) {
+    throw new Error("Audio too large for OpenAI diarization.");
+  }
+
+  const form = new FormData();
+  form.append("file", new File([await fs.promises.readFile(audioPath)], "audio.m4a", { type: "audio/mp4" }));
+  form.append("model", process.env.OPENAI_DIARIZE_MODEL || "gpt-4o-transcribe-diarize");
+  form.append("response_format", "diarized_json");
+  form.append("chunking_strategy", "auto");
+
+  const res = await fetch(OPENAI_TRANSCRIBE_URL, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+    body: form,
+    signal,
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error?.message || "OpenAI diarization failed.");
+  }
+
+  return (data.segments || [])
+    .map((segment) => ({ start: Number(segment.start), end: Number(segment.end), speaker: segment.speaker }))
+    .filter((turn) => turn.speaker !== undefined && turn.end > turn.start);
+}
+
+function assignSpeakerTurns(transcript, turns) {
+  return relabelSpeakers(transcript, (item) => {
+    const end = item.offset + item.duration;
+    let best = null;
+    let bestOverlap = 0;
+    for (const turn of turns) {
+      const overlap = Math.min(end, turn.end) - Math.max(item.offset, turn.start);
+      if (overlap > bestOverlap) {
+        best = turn.speaker;
+        bestOverlap = overlap;
+      }
+    }
+    return best;
+  });
+}
+
+async function diarizeTranscript({ transcript, loadMedia, videoDuration, jobId, jobDir, signal }) {
+  updateJob(jobId, { message: "Identifying speakers..." });
+
+  try {
+    const mediaPath = await loadMedia();
+
+    if (DIARIZE_PROVIDER === "openai" && process.env.OPENAI_API_KEY) {
+      try {
+        const audioPath = path.join(jobDir, "diarize.m4a");
+        await extractAudio(mediaPath, audioPath, { signal });
+        return assignSpeakerTurns(transcript, await diarizeWithOpenAI(audioPath, signal));
+      } catch (error) {
+        if (signal.aborted) throw error;
+        console.warn(`OpenAI diarization failed, clustering locally: ${error.message}`);
+      }
+    }
+
+    const frames = await extractMfccFrames(mediaPath, { signal, duration: videoDuration });
+    return assignSpeakerClusters(transcript, frames);
+  } catch (error) {
+    if (signal.aborted) throw error;
+    console.warn(`Speaker diarization failed: ${error.message}`);
+    return transcript;
+  }
 }
 
 function scoreText(text, goal) {
@@ -229,11 +1611,209 @@ function scoreText(text, goal) {
   return wordScore + exclamations * 2 + hookScore;
 }
 
-function selectHighlights(transcript, durationSeconds, options) {
-  const target = options.targetDuration;
+function resolveSignalWeights(goal) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.SIGNAL_WEIGHTS || "{}");
+  } catch (error) {
+    console.warn(`Ignoring invalid SIGNAL_WEIGHTS: ${error.message}`);
+  }
+  const base = SIGNAL_WEIGHTS[goal] || SIGNAL_WEIGHTS.highlights;
+  return { ...base, ...(overrides[goal] || {}) };
+}
+
+function chapterAt(chapters, time) {
+  return chapters.find((chapter) => time >= chapter.start && time < chapter.end) || null;
+}
+
+function scoreSignals(signals, start, end, median) {
+  const windowLength = Math.max(1, end - start);
+  const seconds = signals.loudness.slice(Math.floor(start), Math.ceil(end));
+  const loudness = seconds.length
+    ? seconds.reduce((sum, value) => sum + Math.max(0, value - median), 0) / seconds.length
+    : 0;
+  const bursts = signals.bursts.reduce(
+    (sum, burst) => sum + Math.max(0, Math.min(end, burst.end) - Math.max(start, burst.start)),
+    0
+  );
+  const scenes = signals.sceneCuts.filter((time) => time >= start && time < end).length;
+  const heat = signals.heat.reduce(
+    (sum, marker) => sum + marker.intensity * Math.max(0, Math.min(end, marker.end) - Math.max(start, marker.start)),
+    0
+  );
+  const chapterDistance = Math.min(Infinity, ...signals.chapters.map((chapter) => Math.abs(chapter.start - start)));
+  const chapters = Math.max(0, 1 - chapterDistance / CHAPTER_SNAP_SECONDS);
+
+  return {
+    loudness,
+    bursts: bursts / windowLength,
+    scenes: (scenes / windowLength) * 10,
+    heat: heat / windowLength,
+    chapters,
+  };
+}
+
+function combineScores(candidates, weights) {
+  const keys = Object.keys(weights);
+  const maxima = Object.fromEntries(
+    keys.map((key) => [key, Math.max(0, ...candidates.map((candidate) => candidate.signals[key] || 0))])
+  );
+
+  for (const candidate of candidates) {
+    candidate.score = keys.reduce(
+      (sum, key) => (maxima[key] ? sum + (weights[key] * (candidate.signals[key] || 0)) / maxima[key] : sum),
+      0
+    );
+  }
+}
+
+function parseRankerResponse(content) {
+  const body = String(content || "");
+  const json = body.slice(body.indexOf("{"), body.lastIndexOf("}") + 1);
+  const parsed = JSON.parse(json);
+  return Array.isArray(parsed.clips) ? parsed.clips : [];
+}
+
+async function rankCandidatesWithLLM(candidates, transcript, { goal, signal }) {
+  if (!LLM_RANKER_URL || !candidates.length) return candidates;
+
+  const windows = candidates.map((candidate, index) => ({
+    id: index + 1,
+    start: Math.round(candidate.start),
+    end: Math.round(candidate.end),
+    text: filterTranscript(transcript, candidate.start, candidate.end)
+      .map((item) => item.text)
+      .join(" ")
+      .slice(0, LLM_RANKER_TEXT_LIMIT),
+  }));
+  const apiKey = process.env.LLM_RANKER_API_KEY || process.env.OPENAI_API_KEY;
+
+  try {
+    const res = await fetch(`${LLM_RANKER_URL}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: LLM_RANKER_MODEL,
+        temperature: 0.2,
+        response_format: { type: "json_object" },
+        messages: [
+          {
+            role: "system",
+            content:
+              `You rank transcript windows from a long video as candidates for ${GOAL_PROMPTS[goal] || GOAL_PROMPTS.highlights}. ` +
+              'Reply with JSON only: {"clips":[{"id":1,"score":0-10,"title":"hook title under 60 characters","reason":"one sentence"}]} ' +
+              "with one entry per window.",
+          },
+          { role: "user", content: JSON.stringify(windows) },
+        ],
+      }),
+      signal: AbortSignal.any([signal, AbortSignal.timeout(LLM_RANKER_TIMEOUT_MS)].filter(Boolean)),
+    });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(data.error?.message || `Ranker returned ${res.status}.`);
+    }
+
+    const rankings = new Map(
+      parseRankerResponse(data.choices?.[0]?.message?.content).map((item) => [Number(item.id), item])
+    );
+    const maxScore = Math.max(0, ...candidates.map((candidate) => candidate.score));
+
+    return candidates
+      .map((candidate, index) => {
+        const ranking = rankings.get(index + 1);
+        const llmScore = Number(ranking?.score);
+        const heuristic = maxScore ? candidate.score / maxScore : 0;
+        if (!Number.isFinite(llmScore)) {
+          return { ...candidate, score: heuristic * (1 - LLM_RANKER_WEIGHT) + 0.5 * LLM_RANKER_WEIGHT };
+        }
+        return {
+          ...candidate,
+          score: heuristic * (1 - LLM_RANKER_WEIGHT) + (Math.min(10, Math.max(0, llmScore)) / 10) * LLM_RANKER_WEIGHT,
+          hookTitle: String(ranking.title || "").trim().slice(0, 80) || null,
+          reason: String(ranking.reason || "").trim().slice(0, 200) || null,
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`LLM ranker unavailable, using heuristic scores: ${error.message}`);
+    return candidates;
+  }
+}
+
+function buildFallbackRatios(count) {
+  return Array.from({ length: count }, (_, index) => (index + 0.5) / count);
+}
+
+function findSentenceBoundaries(transcript) {
+  const starts = [];
+  const ends = [];
+  const wordEnds = [];
+
+  transcript.forEach((item, index) => {
+    const itemEnd = item.offset + item.duration;
+    const previous = transcript[index - 1];
+    const next = transcript[index + 1];
+    const endsSentence = SENTENCE_END_PATTERN.test(item.text.trim());
+    const gapAfter = next ? next.offset - itemEnd : Infinity;
+
+    wordEnds.push(itemEnd);
+    if (endsSentence || gapAfter >= SENTENCE_GAP_SECONDS) {
+      ends.push(itemEnd);
+    }
+    if (
+      !previous ||
+      SENTENCE_END_PATTERN.test(previous.text.trim()) ||
+      item.offset - (previous.offset + previous.duration) >= SENTENCE_GAP_SECONDS
+    ) {
+      starts.push(item.offset);
+    }
+  });
+
+  return { starts, ends, wordEnds };
+}
+
+function closestTo(values, target) {
+  return values.reduce(
+    (best, value) => (best === null || Math.abs(value - target) < Math.abs(best - target) ? value : best),
+    null
+  );
+}
+
+function refineClipBoundaries(clip, boundaries, durationSeconds, lengths) {
+  const sentenceStarts = boundaries.starts.filter(
+    (value) => Math.abs(value - clip.start) <= BOUNDARY_START_SHIFT_SECONDS && value <= durationSeconds - lengths.min
+  );
+  const start = Math.max(0, closestTo(sentenceStarts, clip.start) ?? clip.start);
+  const minEnd = start + lengths.min;
+  const maxEnd = Math.min(durationSeconds, start + lengths.max);
+  const targetEnd = start + lengths.target;
+  const inRange = (value) => value >= minEnd && value <= maxEnd;
+
+  const end =
+    closestTo(boundaries.ends.filter(inRange), targetEnd) ??
+    closestTo(boundaries.wordEnds.filter(inRange), targetEnd) ??
+    Math.min(maxEnd, targetEnd);
+
+  return { ...clip, start, end };
+}
+
+async function selectHighlights(transcript, durationSeconds, options) {
+  const lengths = options.lengths;
+  const target = lengths.target;
   const desiredCount = options.count;
   const goal = options.goal;
+  const signals = options.signals;
+  const loudnessMedian = signals ? medianLoudness(signals.loudness) ?? 0 : 0;
   const maxStart = Math.max(0, durationSeconds - target - 1);
+  const boundaries = findSentenceBoundaries(transcript);
+  const overlapsPick = (candidate, picks) =>
+    picks.some((pick) => candidate.start < pick.end && pick.start < candidate.end);
 
   const candidates = [];
   for (let i = 0; i < transcript.length; i += 1) {
@@ -244,37 +1824,67 @@ function selectHighlights(transcript, durationSeconds, options) {
       (item) => item.offset < end && item.offset + item.duration > start
     );
     const text = windowItems.map((item) => item.text).join(" ");
-    const score = scoreText(text, goal);
-    candidates.push({ start, end, score });
+    candidates.push({
+      start,
+      end,
+      signals: { text: scoreText(text, goal), ...(signals ? scoreSignals(signals, start, end, loudnessMedian) : {}) },
+    });
   }
 
+  combineScores(candidates, resolveSignalWeights(goal));
   candidates.sort((a, b) => b.score - a.score);
-  const picks = [];
-  const minSpacing = target * 0.6;
+  const shortlistSize = LLM_RANKER_URL
+    ? Math.max(desiredCount, Math.min(LLM_RANKER_MAX_CANDIDATES, desiredCount * 2))
+    : desiredCount;
+  const shortlist = [];
 
   for (const candidate of candidates) {
-    if (picks.length >= desiredCount) break;
-    const overlaps = picks.some((pick) => Math.abs(pick.start - candidate.start) < minSpacing);
-    if (!overlaps) {
-      picks.push(candidate);
+    if (shortlist.length >= shortlistSize) break;
+    const refined = refineClipBoundaries(candidate, boundaries, durationSeconds, lengths);
+    if (!overlapsPick(refined, shortlist)) {
+      shortlist.push(refined);
     }
   }
 
+  const ranked = await rankCandidatesWithLLM(shortlist, transcript, { goal, signal: options.signal });
+  const picks = ranked.slice(0, desiredCount);
+
   if (picks.length < desiredCount) {
-    const fallback = [0.12, 0.45, 0.72].slice(0, desiredCount);
-    fallback.forEach((ratio) => {
+    for (const ratio of buildFallbackRatios(desiredCount)) {
+      if (picks.length >= desiredCount) break;
       const start = Math.min(maxStart, Math.max(0, durationSeconds * ratio));
       const end = Math.min(durationSeconds, start + target);
-      picks.push({ start, end, score: 0 });
-    });
+      const refined = refineClipBoundaries({ start, end, score: 0 }, boundaries, durationSeconds, lengths);
+      if (!overlapsPick(refined, picks)) {
+        picks.push(refined);
+      }
+    }
   }
 
-  return picks.slice(0, desiredCount).map((pick, index) => ({
-    id: index + 1,
-    start: pick.start,
-    end: pick.end,
-    duration: pick.end - pick.start,
-  }));
+  if (picks.length < desiredCount) {
+    const taken = [...picks].sort((a, b) => a.start - b.start);
+    let cursor = 0;
+    for (const pick of [...taken, { start: durationSeconds, end: durationSeconds }]) {
+      while (picks.length < desiredCount && pick.start - cursor >= lengths.min) {
+        const end = Math.min(pick.start, cursor + target);
+        picks.push({ start: cursor, end, score: 0 });
+        cursor = end;
+      }
+      cursor = Math.max(cursor, pick.end);
+    }
+  }
+
+  return picks
+    .slice(0, desiredCount)
+    .map((pick, index) => ({
+      id: index + 1,
+      start: Number(pick.start.toFixed(3)),
+      end: Number(pick.end.toFixed(3)),
+      duration: Number((pick.end - pick.start).toFixed(3)),
+      score: Number((pick.score || 0).toFixed(3)),
+      title: pick.hookTitle || chapterAt(signals?.chapters || [], (pick.start + pick.end) / 2)?.title || null,
+      reason: pick.reason || null,
+    }));
 }
 
 function filterTranscript(transcript, start, end) {
@@ -283,18 +1893,25 @@ function filterTranscript(transcript, start, end) {
   );
 }
 
+function speakerLabel(speaker) {
+  return `Speaker ${speaker}`;
+}
+
 async function writeSrtFile(transcript, start, end, filePath) {
   const lines = [];
   let index = 1;
+  let previousSpeaker = null;
   const items = filterTranscript(transcript, start, end);
 
   for (const item of items) {
     const localStart = Math.max(item.offset, start) - start;
     const localEnd = Math.min(item.offset + item.duration, end) - start;
     if (localEnd - localStart < 0.08) continue;
+    const prefix = item.speaker && item.speaker !== previousSpeaker ? `${speakerLabel(item.speaker)}: ` : "";
+    previousSpeaker = item.speaker || null;
     lines.push(String(index));
     lines.push(`${formatSrtTime(localStart)} --> ${formatSrtTime(localEnd)}`);
-    lines.push(item.text.trim());
+    lines.push(`${prefix}${item.text.trim()}`);
     lines.push("");
     index += 1;
   }
@@ -311,35 +1928,497 @@ async function writeVttFile(transcript, start, end, filePath) {
     const localEnd = Math.min(item.offset + item.duration, end) - start;
     if (localEnd - localStart < 0.08) continue;
     lines.push(`${buildVttTime(localStart)} --> ${buildVttTime(localEnd)}`);
-    lines.push(item.text.trim());
+    lines.push(item.speaker ? `<v ${speakerLabel(item.speaker)}>${item.text.trim()}` : item.text.trim());
     lines.push("");
   }
 
   await fs.promises.writeFile(filePath, lines.join("\n"), "utf8");
 }
 
-async function getVideoDimensions(filePath) {
-  const metadata = await new Promise((resolve, reject) => {
+function getWordTimings(item) {
+  if (item.words && item.words.length) {
+    return item.words;
+  }
+
+  const words = item.text.trim().split(/\s+/).filter(Boolean);
+  const totalWeight = words.reduce((sum, word) => sum + word.length + 1, 0);
+  let cursor = item.offset;
+
+  return words.map((word) => {
+    const duration = (item.duration * (word.length + 1)) / totalWeight;
+    const timing = { text: word, offset: cursor, duration };
+    cursor += duration;
+    return timing;
+  });
+}
+
+function measureWords(words) {
+  return words.reduce((sum, word, index) => sum + word.width + (index ? 1 : 0), 0);
+}
+
+function splitBalanced(words, parts) {
+  const total = measureWords(words);
+  const groups = [];
+  let current = [];
+
+  words.forEach((word, index) => {
+    const remainingWords = words.length - index;
+    const remainingGroups = parts - groups.length;
+    const target = (total * (groups.length + 1)) / parts;
+    const consumed = measureWords(groups.flat().concat(current));
+    const withWord = measureWords(groups.flat().concat(current, word));
+    const closeEnough = current.length && Math.abs(consumed - target) <= Math.abs(withWord - target);
+
+    if (current.length && remainingGroups > 1 && (closeEnough || remainingWords < remainingGroups)) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(word);
+  });
+
+  groups.push(current);
+  return groups;
+}
+
+function layoutSegment(item, layout) {
+  const prefixWidth = item.speaker ? `${speakerLabel(item.speaker)}: `.length : 0;
+  const words = getWordTimings(item).map((word, index) => {
+    const label = word.emphasis ? `${word.text} ${word.emphasis}` : word.text;
+    return { ...word, label, width: label.length + (index ? 0 : prefixWidth) };
+  });
+  if (!words.length) return [];
+
+  const maxWords = layout.maxWords || Infinity;
+  const fitsLine = (line) => measureWords(line) <= layout.maxChars && line.length <= maxWords;
+  const fits = (group) => {
+    const lineCount = fitsLine(group) ? 1 : Math.min(layout.maxLines, group.length);
+    const lines = splitBalanced(group, lineCount);
+    return lines.every((line) => line.length === 1 || fitsLine(line)) ? lines : null;
+  };
+
+  let cueCount = Math.max(
+    1,
+    Math.ceil(measureWords(words) / (layout.maxChars * layout.maxLines)),
+    Math.ceil(words.length / (maxWords * layout.maxLines))
+  );
+  let cues = null;
+  while (!cues) {
+    const groups = splitBalanced(words, Math.min(cueCount, words.length));
+    const laidOut = groups.map(fits);
+    if (laidOut.every(Boolean) || cueCount >= words.length) {
+      cues = laidOut.map((lines, index) => lines || [groups[index]]);
+    }
+    cueCount += 1;
+  }
+
+  const hasTimings = Boolean(item.words && item.words.length);
+  const durations = distributeCueDurations(
+    cues.map((lines) => lines.flat().length),
+    item.duration,
+    layout.minDuration
+  );
+  let cursor = item.offset;
+
+  return cues.map((lines, cueIndex) => {
+    const offset = hasTimings ? lines[0][0].offset : cursor;
+    const lastWord = lines[lines.length - 1][lines[lines.length - 1].length - 1];
+    const end = hasTimings ? lastWord.offset + lastWord.duration : cursor + durations[cueIndex];
+    const flat = lines.flat();
+    const totalWeight = flat.reduce((sum, word) => sum + word.label.length + 1, 0);
+    let wordCursor = offset;
+    cursor = end;
+
+    const cueWords = lines.flatMap((line, lineIndex) =>
+      line.map(({ label, width, ...word }, wordIndex) => {
+        const timed = hasTimings
+          ? word
+          : { ...word, offset: wordCursor, duration: ((end - offset) * (label.length + 1)) / totalWeight };
+        wordCursor += timed.duration;
+        return lineIndex && !wordIndex ? { ...timed, lineBreak: true } : timed;
+      })
+    );
+
+    return {
+      ...item,
+      text: lines.map((line) => line.map((word) => word.label).join(" ")).join("\n"),
+      offset,
+      duration: Math.max(0, end - offset),
+      words: cueWords,
+    };
+  });
+}
+
+function distributeCueDurations(wordCounts, total, minDuration) {
+  const totalWords = wordCounts.reduce((sum, count) => sum + count, 0);
+  const durations = wordCounts.map((count) => (total * count) / totalWords);
+  if (total < minDuration * durations.length) return durations;
+
+  const deficit = durations.reduce((sum, value) => sum + Math.max(0, minDuration - value), 0);
+  const spare = durations.reduce((sum, value) => sum + Math.max(0, value - minDuration), 0);
+  if (!deficit || !spare) return durations;
+
+  return durations.map((value) =>
+    value < minDuration ? minDuration : value - ((value - minDuration) * deficit) / spare
+  );
+}
+
+function layoutCaptions(transcript, layout) {
+  const cues = transcript.flatMap((item) => layoutSegment(item, layout));
+
+  return cues.map((cue, index) => {
+    if (cue.duration >= layout.minDuration) return cue;
+    const next = cues[index + 1];
+    const limit = next ? Math.max(cue.offset + cue.duration, next.offset) : Infinity;
+    return { ...cue, duration: Math.min(limit, cue.offset + layout.minDuration) - cue.offset };
+  });
+}
+
+function normalizeEmojiKey(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+function applyEmojiEmphasis(transcript, language) {
+  const dictionary = EMOJI_DICTIONARIES[language] || EMOJI_DICTIONARIES.en;
+
+  return transcript.map((item) => {
+    const words = getWordTimings(item).map((word) => {
+      const emoji = dictionary[normalizeEmojiKey(word.text)];
+      return emoji ? { ...word, emphasis: emoji } : word;
+    });
+    if (!words.some((word) => word.emphasis)) return item;
+
+    return {
+      ...item,
+      text: words.map((word) => (word.emphasis ? `${word.text} ${word.emphasis}` : word.text)).join(" "),
+      words,
+    };
+  });
+}
+
+function limitCueEmphasis(cues) {
+  return cues.map((cue) => {
+    if (!cue.words) return cue;
+    let used = 0;
+    const words = cue.words.map((word) => {
+      if (!word.emphasis) return word;
+      used += 1;
+      if (used <= MAX_EMOJI_PER_CUE) return word;
+      const { emphasis, ...plain } = word;
+      return plain;
+    });
+    if (used <= MAX_EMOJI_PER_CUE) return cue;
+
+    const text = words
+      .map((word, index) => {
+        const label = word.emphasis ? `${word.text} ${word.emphasis}` : word.text;
+        return index ? `${word.lineBreak ? "\n" : " "}${label}` : label;
+      })
+      .join("");
+    return { ...cue, text, words };
+  });
+}
+
+function buildSpeakerTag(speaker) {
+  return speaker > 1 ? `\\1c${SPEAKER_COLOURS[(speaker - 2) % SPEAKER_COLOURS.length]}` : "";
+}
+
+function buildEmphasisWord(word, colour, speakerTag = "") {
+  const text = escapeAssText(word.text);
+  if (!word.emphasis) return text;
+  const emoji = `{\\fn${EMOJI_FONT}}${word.emphasis}{\\fn}`;
+  return colour ? `{\\c${colour}}${text}{\\r${speakerTag}} ${emoji}` : `${text} ${emoji}`;
+}
+
+function buildStyledLine(item, colour) {
+  if (!item.words || !item.words.some((word) => word.emphasis)) {
+    return escapeAssText(item.text.trim());
+  }
+  return item.words
+    .map((word, index) => {
+      const separator = index ? (word.lineBreak ? "\\N" : " ") : "";
+      return `${separator}${buildEmphasisWord(word, colour, buildSpeakerTag(item.speaker))}`;
+    })
+    .join("");
+}
+
+function buildKaraokeLine(item, start, end, tag, colour) {
+  const lineStart = Math.max(item.offset, start);
+  const words = getWordTimings(item).filter(
+    (word) => word.offset + word.duration > start && word.offset < end
+  );
+  if (!words.length) return escapeAssText(item.text.trim());
+
+  const parts = [];
+  let cursor = lineStart;
+  words.forEach((word, index) => {
+    const wordStart = Math.max(word.offset, start);
+    const nextStart = index + 1 < words.length ? words[index + 1].offset : Math.min(end, word.offset + word.duration);
+    if (wordStart - cursor >= 0.01) {
+      parts.push(`{${tag}${Math.round((wordStart - cursor) * 100)}}`);
+    }
+    const length = Math.max(1, Math.round((Math.max(nextStart, wordStart) - wordStart) * 100));
+    if (word.lineBreak && parts.length) {
+      parts.push("\\N");
+    }
+    parts.push(`{${tag}${length}}${buildEmphasisWord(word, colour, buildSpeakerTag(item.speaker))} `);
+    cursor = wordStart + length / 100;
+  });
+
+  return parts.join("").trim();
+}
+
+function toAssColour(hex, alpha) {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)].map((part) => part.toUpperCase());
+  return alpha === undefined ? `&H${b}${g}${r}&` : `&H${alpha}${b}${g}${r}&`;
+}
+
+function compileStylePreset(preset) {
+  return {
+    fields: {
+      FontName: preset.font,
+      FontSize: preset.size,
+      PrimaryColour: toAssColour(preset.primaryColour, "00"),
+      SecondaryColour: toAssColour(preset.primaryColour, "00"),
+      OutlineColour: toAssColour(preset.outlineColour, preset.box ? "40" : "00"),
+      BackColour: "&H80000000&",
+      BorderStyle: preset.box ? 3 : 1,
+      Outline: preset.box ? 2 : Math.max(2, Math.round(preset.size / 20)),
+      Shadow: preset.box ? 0 : 1,
+      Alignment: STYLE_POSITIONS[preset.position],
+    },
+    karaokeTag: null,
+    emphasisColour: toAssColour(preset.highlightColour),
+    layout: {
+      maxChars: Math.min(40, Math.max(10, Math.floor((ASS_PLAY_RES.x - 120) / (preset.size * 0.55)))),
+      maxLines: 2,
+      minDuration: 1,
+      maxWords: preset.maxWordsPerLine,
+    },
+    uppercase: preset.uppercase,
+  };
+}
+
+function resolveCaptionStyle(subtitleStyle, stylePreset) {
+  if (stylePreset) {
+    return compileStylePreset(stylePreset);
+  }
+
+  const key = STYLE_MAP[subtitleStyle] ? subtitleStyle : "kinetic";
+  return {
+    fields: parseForceStyle(STYLE_MAP[key]),
+    karaokeTag: KARAOKE_TAGS[key],
+    emphasisColour: EMPHASIS_COLOURS[key],
+    layout: CAPTION_LAYOUTS[key],
+    uppercase: false,
+  };
+}
+
+function uppercaseTranscript(transcript) {
+  return transcript.map((item) => ({
+    ...item,
+    text: item.text.toLocaleUpperCase(),
+    ...(item.words ? { words: item.words.map((word) => ({ ...word, text: word.text.toLocaleUpperCase() })) } : {}),
+  }));
+}
+
+function buildAssStyle(captionStyle, marginV) {
+  const style = {
+    ...ASS_STYLE_DEFAULTS,
+    ...captionStyle.fields,
+    ...(marginV ? { MarginV: marginV } : {}),
+  };
+  const fields = Object.keys(ASS_STYLE_DEFAULTS);
+  return {
+    format: `Format: Name, ${fields.join(", ")}`,
+    line: `Style: Default,${fields.map((field) => style[field]).join(",")}`,
+  };
+}
+
+async function writeAssFile(transcript, start, end, filePath, { captionStyle, marginV } = {}) {
+  const style = buildAssStyle(captionStyle, marginV);
+  const tag = captionStyle.karaokeTag;
+  const colour = captionStyle.emphasisColour;
+  const lines = [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${ASS_PLAY_RES.x}`,
+    `PlayResY: ${ASS_PLAY_RES.y}`,
+    "WrapStyle: 0",
+    "ScaledBorderAndShadow: yes",
+    "",
+    "[V4+ Styles]",
+    style.format,
+    style.line,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ];
+
+  for (const item of filterTranscript(transcript, start, end)) {
+    const localStart = Math.max(item.offset, start) - start;
+    const localEnd = Math.min(item.offset + item.duration, end) - start;
+    if (localEnd - localStart < 0.08) continue;
+    const speakerTag = buildSpeakerTag(item.speaker);
+    const line = tag ? buildKaraokeLine(item, start, end, tag, colour) : buildStyledLine(item, colour);
+    const text = speakerTag ? `{${speakerTag}}${line}` : line;
+    lines.push(`Dialogue: 0,${buildAssTime(localStart)},${buildAssTime(localEnd)},Default,,0,0,0,,${text}`);
+  }
+
+  await fs.promises.writeFile(filePath, `${lines.join("\n")}\n`, "utf8");
+}
+
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
     ffmpeg.ffprobe(filePath, (err, data) => {
       if (err) reject(err);
       else resolve(data);
     });
   });
+}
+
+async function getVideoDimensions(filePath) {
+  const metadata = await probeMedia(filePath);
 
   const videoStream = metadata.streams.find((stream) => stream.codec_type === "video");
   if (!videoStream) throw new Error("Unable to read video stream.");
   return { width: videoStream.width, height: videoStream.height };
 }
 
-function buildCropFilters(width, height) {
+async function sampleFrames(videoPath, { start, duration, width, height, signal }) {
+  const sampleWidth = REFRAME_SAMPLE_WIDTH;
+  const sampleHeight = Math.max(2, Math.round((height * sampleWidth) / width / 2) * 2);
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+
+  const command = ffmpeg(videoPath)
+    .setStartTime(start)
+    .duration(duration)
+    .noAudio()
+    .videoFilters([`fps=${REFRAME_SAMPLE_FPS}`, `scale=${sampleWidth}:${sampleHeight}`])
+    .outputOptions(["-f", "rawvideo", "-pix_fmt", "rgb24"]);
+
+  await runFfmpeg(command, output, { signal });
+
+  const buffer = Buffer.concat(chunks);
+  const frameSize = sampleWidth * sampleHeight * 3;
+  const frames = [];
+  for (let offset = 0; offset + frameSize <= buffer.length; offset += frameSize) {
+    frames.push(buffer.subarray(offset, offset + frameSize));
+  }
+  return { frames, width: sampleWidth, height: sampleHeight };
+}
+
+function isSkinTone(r, g, b) {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+function findSalientCenters({ frames, width, height }) {
+  const centers = [];
+  let previousGray = null;
+
+  for (const frame of frames) {
+    const gray = new Float32Array(width * height);
+    const columns = new Float32Array(width);
+
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const index = y * width + x;
+        const r = frame[index * 3];
+        const g = frame[index * 3 + 1];
+        const b = frame[index * 3 + 2];
+        gray[index] = 0.299 * r + 0.587 * g + 0.114 * b;
+
+        let weight = isSkinTone(r, g, b) ? 1 : 0;
+        if (previousGray) {
+          const motion = Math.abs(gray[index] - previousGray[index]);
+          if (motion > 18) weight += Math.min(1, motion / 64) * 0.6;
+        }
+        if (y < height * 0.6) weight *= 1.3;
+        columns[x] += weight;
+      }
+    }
+
+    const total = columns.reduce((sum, value) => sum + value, 0);
+    if (total < width * height * 0.01) {
+      centers.push(null);
+    } else {
+      const weighted = columns.reduce((sum, value, x) => sum + value * (x + 0.5), 0);
+      centers.push(weighted / total / width);
+    }
+    previousGray = gray;
+  }
+
+  return centers;
+}
+
+function smoothCropPath(centers, sampleFps) {
+  const path = [];
+  const maxStep = REFRAME_MAX_PAN_PER_SECOND / sampleFps;
+  let current = centers.find((center) => center !== null) ?? 0.5;
+  let target = current;
+
+  centers.forEach((center, index) => {
+    if (center !== null && Math.abs(center - target) > REFRAME_DEADZONE) {
+      target = center;
+    }
+    const eased = current + (target - current) * REFRAME_SMOOTHING;
+    current += Math.max(-maxStep, Math.min(maxStep, eased - current));
+    path.push({ time: index / sampleFps, center: current });
+  });
+
+  const keyframeStep = Math.max(1, Math.round(REFRAME_KEYFRAME_SECONDS * sampleFps));
+  return path.filter((point, index) => index % keyframeStep === 0 || index === path.length - 1);
+}
+
+async function analyzeCropPath(videoPath, { start, duration, width, height, signal }) {
+  if (REFRAME_MODE !== "smart" || width / height <= 9 / 16) return null;
+
+  try {
+    const samples = await sampleFrames(videoPath, { start, duration, width, height, signal });
+    if (!samples.frames.length) return null;
+    return smoothCropPath(findSalientCenters(samples), REFRAME_SAMPLE_FPS);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`Smart reframe failed, using center crop: ${error.message}`);
+    return null;
+  }
+}
+
+function buildCropXExpression(cropPath, width, cropWidth) {
+  const maxX = width - cropWidth;
+  const toX = (center) => Math.round(Math.min(maxX, Math.max(0, center * width - cropWidth / 2)));
+  const points = cropPath.map((point) => ({ time: point.time, x: toX(point.center) }));
+
+  const last = points[points.length - 1];
+  const terms = points.slice(0, -1).map((from, i) => {
+    const to = points[i + 1];
+    const span = Math.max(0.001, to.time - from.time);
+    const segment = from.x === to.x
+      ? String(from.x)
+      : `lerp(${from.x},${to.x},(t-${from.time.toFixed(3)})/${span.toFixed(3)})`;
+    const window = i ? `gte(t,${from.time.toFixed(3)})*lt(t,${to.time.toFixed(3)})` : `lt(t,${to.time.toFixed(3)})`;
+    return `${window}*${segment}`;
+  });
+  terms.push(`gte(t,${last.time.toFixed(3)})*${last.x}`);
+  return terms.join("+");
+}
+
+function buildCropFilters(width, height, cropPath) {
   const targetRatio = 9 / 16;
   const currentRatio = width / height;
   let crop = "";
 
   if (currentRatio > targetRatio) {
     const newWidth = Math.floor(height * targetRatio);
-    const x = Math.floor((width - newWidth) / 2);
-    crop = `crop=${newWidth}:${height}:${x}:0`;
+    if (cropPath && cropPath.length > 1) {
+      crop = `crop=${newWidth}:${height}:'${buildCropXExpression(cropPath, width, newWidth)}':0`;
+    } else {
+      const x = Math.floor((width - newWidth) / 2);
+      crop = `crop=${newWidth}:${height}:${x}:0`;
+    }
   } else {
     const newHeight = Math.floor(width / targetRatio);
     const y = Math.floor((height - newHeight) / 2);
@@ -355,29 +2434,104 @@ async function renderClip({
   start,
   duration,
   subtitlePath,
-  subtitleStyle,
   burnIn,
   cropFilters,
+  loudness,
+  signal,
+  onProgress,
 }) {
   const filters = [...cropFilters];
   if (burnIn && subtitlePath) {
-    const style = STYLE_MAP[subtitleStyle] || STYLE_MAP.kinetic;
     const safePath = escapeFilterPath(subtitlePath);
-    filters.push(`subtitles='${safePath}':force_style='${style}'`);
+    filters.push(`subtitles='${safePath}':fontsdir='${escapeFilterPath(FONTS_DIR)}'`);
+  }
+
+  const command = ffmpeg(inputPath)
+    .setStartTime(start)
+    .duration(duration)
+    .videoFilters(filters);
+
+  if (loudness) {
+    command.audioFilters(`loudnorm=I=${loudness}:TP=-1.5:LRA=11`);
+  }
+
+  command
+    .audioCodec("aac")
+    .videoCodec("libx264")
+    .outputOptions(["-preset", "veryfast", "-pix_fmt", "yuv420p", "-movflags", "+faststart"]);
+
+  await runFfmpeg(command, outputPath, { signal, duration, onProgress });
+}
+
+async function renderClips({ jobId, jobDir, videoPath, videoTitle, transcript, clips, payload, signal }) {
+  const platforms = resolvePlatforms(payload.platforms);
+  const captionStyle = resolveCaptionStyle(payload.subtitleStyle, payload.stylePreset);
+  const styled = captionStyle.uppercase ? uppercaseTranscript(transcript) : transcript;
+  const emphasized = payload.emoji ? applyEmojiEmphasis(styled, payload.language) : styled;
+  const captions = limitCueEmphasis(layoutCaptions(emphasized, captionStyle.layout));
+  const outputFiles = [];
+
+  for (const platform of platforms) {
+    await fs.promises.mkdir(path.join(jobDir, platform), { recursive: true });
+  }
+
+  for (const clip of clips) {
+    const inputPath = clip.sourcePath || videoPath;
+    const inputStart = clip.start - (clip.sourceOffset || 0);
+    const { width, height } = await getVideoDimensions(inputPath);
+
+    updateJob(jobId, { step: 2, message: `Reframing clip ${clip.id}...` });
+    const cropPath = await analyzeCropPath(inputPath, {
+      start: inputStart,
+      duration: Math.min(clip.duration, ...platforms.map((platform) => PLATFORM_PROFILES[platform].maxDuration)),
+      width,
+      height,
+      signal,
+    });
+    const cropFilters = buildCropFilters(width, height, cropPath);
+
+    for (const [index, platform] of platforms.entries()) {
+      const profile = PLATFORM_PROFILES[platform];
+      const duration = Math.min(clip.duration, profile.maxDuration);
+      const end = clip.start + duration;
+      const clipBase = `clip_${clip.id}_${platform}`;
+      const clipVideoPath = path.join(jobDir, platform, `${clipBase}.mp4`);
+      const srtPath = path.join(jobDir, platform, `${clipBase}.srt`);
+      const vttPath = path.join(jobDir, platform, `${clipBase}.vtt`);
+      const assPath = path.join(jobDir, platform, `${clipBase}.ass`);
+
+      updateJob(jobId, { step: 2, message: `Rendering clip ${clip.id} for ${profile.label}...` });
+      await writeSrtFile(captions, clip.start, end, srtPath);
+      await writeVttFile(captions, clip.start, end, vttPath);
+      await writeAssFile(captions, clip.start, end, assPath, {
+        captionStyle,
+        marginV: profile.captionMarginV,
+      });
+
+      updateJob(jobId, { step: 3, message: `Burning subtitles for ${profile.label}...` });
+      await renderClip({
+        inputPath,
+        outputPath: clipVideoPath,
+        start: inputStart,
+        duration,
+        subtitlePath: assPath,
+        burnIn: payload.burnIn,
+        cropFilters,
+        loudness: profile.loudness,
+        signal,
+        onProgress: (fraction) => setClipProgress(jobId, clip.id, (index + fraction) / platforms.length),
+      });
+      setClipProgress(jobId, clip.id, (index + 1) / platforms.length);
+
+      const name = `${platform}/${videoTitle}_${clipBase}`;
+      outputFiles.push({ path: clipVideoPath, name: `${name}.mp4` });
+      outputFiles.push({ path: srtPath, name: `${name}.srt` });
+      outputFiles.push({ path: vttPath, name: `${name}.vtt` });
+      outputFiles.push({ path: assPath, name: `${name}.ass` });
+    }
   }
 
-  await new Promise((resolve, reject) => {
-    ffmpeg(inputPath)
-      .setStartTime(start)
-      .duration(duration)
-      .videoFilters(filters)
-      .audioCodec("aac")
-      .videoCodec("libx264")
-      .outputOptions(["-preset", "veryfast", "-pix_fmt", "yuv420p", "-movflags", "+faststart"])
-      .on("end", resolve)
-      .on("error", reject)
-      .save(outputPath);
-  });
+  return outputFiles;
 }
 
 async function zipOutputs(jobDir, files) {
@@ -395,6 +2549,67 @@ async function zipOutputs(jobDir, files) {
   return zipPath;
 }
 
+function readRendererText(text) {
+  return (text?.simpleText ?? (text?.runs || []).map((run) => run.text).join("")).trim();
+}
+
+function parseChapters(info, durationSeconds) {
+  let chapters = (info?.videoDetails?.chapters || []).map((chapter) => ({
+    title: chapter.title,
+    start: Number(chapter.start_time),
+  }));
+
+  if (!chapters.length) {
+    chapters = (info?.response?.engagementPanels || [])
+      .flatMap((panel) => panel.engagementPanelSectionListRenderer?.content?.macroMarkersListRenderer?.contents || [])
+      .map((item) => item.macroMarkersListItemRenderer)
+      .filter(Boolean)
+      .map((renderer) => ({
+        title: readRendererText(renderer.title),
+        start: Number(renderer.onTap?.watchEndpoint?.startTimeSeconds),
+      }));
+  }
+
+  const sorted = chapters
+    .filter((chapter) => chapter.title && Number.isFinite(chapter.start))
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter, index, list) => index === 0 || chapter.start !== list[index - 1].start);
+
+  return sorted.map((chapter, index) => ({
+    ...chapter,
+    end: sorted[index + 1]?.start ?? (durationSeconds || Infinity),
+  }));
+}
+
+function parseHeatMarkers(info) {
+  const mutations = info?.response?.frameworkUpdates?.entityBatchUpdate?.mutations || [];
+  const markersList = mutations
+    .map((mutation) => mutation.payload?.macroMarkersListEntity?.markersList)
+    .find((list) => list?.markerType === "MARKER_TYPE_HEATMAP");
+  let markers = (markersList?.markers || []).map((marker) => ({
+    start: Number(marker.startMillis) / 1000,
+    end: (Number(marker.startMillis) + Number(marker.durationMillis)) / 1000,
+    intensity: Number(marker.intensityScoreNormalized),
+  }));
+
+  if (!markers.length) {
+    const playerBar =
+      info?.response?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer?.decoratedPlayerBarRenderer
+        ?.playerBar;
+    const markersMap = playerBar?.multiMarkersPlayerBarRenderer?.markersMap;
+    const heatmap = Array.isArray(markersMap) && markersMap.find((entry) => entry.value?.heatmap);
+    markers = (heatmap?.value.heatmap.heatmapRenderer?.heatMarkers || []).map(({ heatMarkerRenderer: marker }) => ({
+      start: Number(marker.timeRangeStartMillis) / 1000,
+      end: (Number(marker.timeRangeStartMillis) + Number(marker.markerDurationMillis)) / 1000,
+      intensity: Number(marker.heatMarkerIntensityScoreNormalized),
+    }));
+  }
+
+  return markers.filter(
+    (marker) => Number.isFinite(marker.start) && marker.end > marker.start && Number.isFinite(marker.intensity)
+  );
+}
+
 async function fetchTranscript(url, language) {
   try {
     return await YoutubeTranscript.fetchTranscript(url, language ? { lang: language } : undefined);
@@ -403,100 +2618,368 @@ async function fetchTranscript(url, language) {
   }
 }
 
-async function runJob(jobId, payload) {
-  const jobDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "clipspark-"));
+function codecRank(format) {
+  const codec = (format.videoCodec || format.codecs || "").toLowerCase();
+  const index = VIDEO_CODEC_PREFERENCE.findIndex((prefix) => codec.startsWith(prefix));
+  return index === -1 ? VIDEO_CODEC_PREFERENCE.length : index;
+}
 
-  try {
-    updateJob(jobId, { status: "processing", step: 0, message: "Downloading video...", progress: 0.1, jobDir });
+function formatShortSide(format) {
+  return Math.min(format.width || format.height, format.height);
+}
+
+function chooseSourceFormats(formats) {
+  const videoOnly = formats
+    .filter((item) => item.hasVideo && !item.hasAudio && item.height && formatShortSide(item) <= MAX_SOURCE_HEIGHT)
+    .sort(
+      (a, b) =>
+        formatShortSide(b) - formatShortSide(a) ||
+        (b.fps || 0) - (a.fps || 0) ||
+        codecRank(a) - codecRank(b) ||
+        (b.bitrate || 0) - (a.bitrate || 0)
+    );
+  const audioOnly = formats
+    .filter((item) => item.hasAudio && !item.hasVideo)
+    .sort((a, b) => (b.audioBitrate || 0) - (a.audioBitrate || 0));
+
+  if (videoOnly.length && audioOnly.length) {
+    return { video: videoOnly[0], audio: audioOnly[0] };
+  }
+
+  const muxed = ytdl.chooseFormat(formats, {
+    quality: "highest",
+    filter: (item) => item.hasAudio && item.hasVideo && item.container === "mp4",
+  });
+  return { video: muxed, audio: null };
+}
+
+async function muxStreams(videoPath, audioPath, outputPath, signal) {
+  const command = ffmpeg(videoPath)
+    .input(audioPath)
+    .outputOptions(["-map", "0:v:0", "-map", "1:a:0", "-c", "copy"]);
+  await runFfmpeg(command, outputPath, { signal });
+}
+
+async function downloadFormat({ jobId, info, format, ytdlOptions, outputPath, signal, range = PROGRESS_PHASES.download }) {
+  const downloadStream = ytdl.downloadFromInfo(info, { format, ...ytdlOptions });
+  const reportDownload = createProgressRange(jobId, range);
+  downloadStream.on("progress", (chunkLength, downloaded, total) => {
+    if (total) reportDownload(downloaded / total);
+  });
+  await pipeline(downloadStream, fs.createWriteStream(outputPath), { signal });
+}
 
-    const ytdlOptions = buildYtdlOptions();
-    const info = await ytdl.getInfo(payload.url, ytdlOptions);
-    const videoTitle = sanitizeTitle(info.videoDetails?.title);
-    const videoDuration = Number(info.videoDetails?.lengthSeconds || 0);
+async function ingestSource({ jobId, jobDir, payload, signal }) {
+  if (payload.source === "upload") {
+    updateJob(jobId, { message: "Reading uploaded video..." });
+    const metadata = await probeMedia(payload.uploadPath);
+    const videoDuration = Number(metadata.format?.duration) || 0;
+    return {
+      videoPath: payload.uploadPath,
+      videoTitle: sanitizeTitle(payload.title),
+      videoDuration,
+      manualClips: payload.clips ? buildManualClips(payload.clips, videoDuration) : null,
+      loadMedia: async () => payload.uploadPath,
+    };
+  }
+
+  updateJob(jobId, { message: "Fetching video info..." });
+  const ytdlOptions = buildYtdlOptions();
+  const info = await ytdl.getInfo(payload.url, ytdlOptions);
+  signal.throwIfAborted();
+
+  const formats = chooseSourceFormats(info.formats);
+  const source = {
+    info,
+    formats,
+    ytdlOptions,
+    videoTitle: sanitizeTitle(info.videoDetails?.title),
+    videoDuration: Number(info.videoDetails?.lengthSeconds || 0),
+  };
+  source.manualClips = payload.clips ? buildManualClips(payload.clips, source.videoDuration) : null;
+
+  if ((payload.downloadMode || DOWNLOAD_MODE) === "segments") {
+    let audioPath = null;
+    return {
+      ...source,
+      videoPath: null,
+      loadMedia: async () => {
+        if (audioPath) return audioPath;
+        updateJob(jobId, { message: "Downloading audio for transcription..." });
+        const audioFormat =
+          formats.audio || ytdl.chooseFormat(info.formats, { quality: "highestaudio", filter: "audioonly" });
+        audioPath = path.join(jobDir, `source_audio.${audioFormat.container || "m4a"}`);
+        await downloadFormat({ jobId, info, format: audioFormat, ytdlOptions, outputPath: audioPath, signal });
+        return audioPath;
+      },
+    };
+  }
+
+  if (!formats.audio) {
+    updateJob(jobId, { message: "Downloading video..." });
     const videoPath = path.join(jobDir, "source.mp4");
+    await downloadFormat({ jobId, info, format: formats.video, ytdlOptions, outputPath: videoPath, signal });
+    return { ...source, videoPath, loadMedia: async () => videoPath };
+  }
+
+  const [from, to] = PROGRESS_PHASES.download;
+  const split = from + (to - from) * 0.85;
+  const videoStreamPath = path.join(jobDir, `source_video.${formats.video.container || "mp4"}`);
+  const audioStreamPath = path.join(jobDir, `source_audio.${formats.audio.container || "m4a"}`);
+
+  updateJob(jobId, { message: `Downloading ${formats.video.qualityLabel || "video"} stream...` });
+  await downloadFormat({
+    jobId,
+    info,
+    format: formats.video,
+    ytdlOptions,
+    outputPath: videoStreamPath,
+    signal,
+    range: [from, split],
+  });
+
+  updateJob(jobId, { message: "Downloading audio stream..." });
+  await downloadFormat({
+    jobId,
+    info,
+    format: formats.audio,
+    ytdlOptions,
+    outputPath: audioStreamPath,
+    signal,
+    range: [split, to],
+  });
+
+  updateJob(jobId, { message: "Merging video and audio..." });
+  const videoPath = path.join(jobDir, "source.mkv");
+  await muxStreams(videoStreamPath, audioStreamPath, videoPath, signal);
+  await Promise.all([fs.promises.rm(videoStreamPath), fs.promises.rm(audioStreamPath)]);
+
+  return { ...source, videoPath, loadMedia: async () => videoPath };
+}
+
+function buildFfmpegHeaders(ytdlOptions) {
+  const headers = { ...ytdlOptions.requestOptions?.headers };
+  const agentCookies = ytdlOptions.agent?.jar?.getCookieStringSync("https://www.youtube.com");
+  if (agentCookies) {
+    headers.Cookie = headers.Cookie ? `${headers.Cookie}; ${agentCookies}` : agentCookies;
+  }
+  return Object.entries(headers)
+    .map(([key, value]) => `${key}: ${value}\r\n`)
+    .join("");
+}
 
-    const format = ytdl.chooseFormat(info.formats, {
-      quality: "highest",
-      filter: (item) => item.hasAudio && item.hasVideo && item.container === "mp4",
+async function downloadClipSegments({ jobId, jobDir, source, clips, signal }) {
+  const headers = buildFfmpegHeaders(source.ytdlOptions);
+  const [from, to] = PROGRESS_PHASES.segments;
+
+  for (const [index, clip] of clips.entries()) {
+    const segmentStart = Math.max(0, clip.start - SEGMENT_PADDING_SECONDS);
+    const segmentEnd = source.videoDuration
+      ? Math.min(source.videoDuration, clip.end + SEGMENT_PADDING_SECONDS)
+      : clip.end + SEGMENT_PADDING_SECONDS;
+    const segmentPath = path.join(jobDir, `segment_${clip.id}.mp4`);
+    const segmentDuration = segmentEnd - segmentStart;
+
+    updateJob(jobId, { step: 1, message: `Downloading segment ${index + 1} of ${clips.length}...` });
+    const command = ffmpeg();
+    for (const format of [source.formats.video, source.formats.audio].filter(Boolean)) {
+      command
+        .input(format.url)
+        .inputOptions(headers ? ["-headers", headers] : [])
+        .setStartTime(segmentStart);
+    }
+    if (source.formats.audio) {
+      command.outputOptions(["-map", "0:v:0", "-map", "1:a:0"]);
+    }
+    command
+      .duration(segmentDuration)
+      .videoCodec("libx264")
+      .audioCodec("aac")
+      .outputOptions(["-preset", "ultrafast", "-crf", "16", "-pix_fmt", "yuv420p"]);
+
+    await runFfmpeg(command, segmentPath, {
+      signal,
+      duration: segmentDuration,
+      onProgress: (fraction) => {
+        const overall = (index + Math.min(1, Math.max(0, fraction))) / clips.length;
+        setJobProgress(jobId, from + (to - from) * overall);
+      },
     });
 
-    const downloadStream = ytdl.downloadFromInfo(info, { format, ...ytdlOptions });
-    await pipeline(downloadStream, fs.createWriteStream(videoPath));
+    clip.sourcePath = segmentPath;
+    clip.sourceOffset = segmentStart;
+  }
+}
+
+function clipTranscriptText(transcript, clip, limit) {
+  return filterTranscript(transcript, clip.start, clip.end)
+    .map((item) => item.text)
+    .join(" ")
+    .slice(0, limit);
+}
 
-    updateJob(jobId, { step: 1, message: "Fetching transcript...", progress: 0.2 });
-    const transcript = await getTranscriptWithFallback({
-      url: payload.url,
-      language: payload.language,
-      videoPath,
+async function detectClips({ jobId, jobDir, payload, signal }) {
+  const source = await ingestSource({ jobId, jobDir, payload, signal });
+  const { videoPath, videoDuration, manualClips } = source;
+
+  setJobProgress(jobId, PROGRESS_PHASES.download[1], { step: 1, message: "Fetching transcript..." });
+  let transcript = (await getTranscriptWithFallback({
+    url: payload.url,
+    captionsPath: payload.captionsPath,
+    language: payload.language,
+    loadMedia: source.loadMedia,
+    videoDuration,
+    jobId,
+    jobDir,
+    signal,
+  })) || [];
+
+  if (!transcript.length && !manualClips) {
+    throw new Error(
+      "No transcript found. Add captions on YouTube or upload an SRT/VTT file, or configure WHISPER_CPP_MODEL, VOSK_MODEL or OPENAI_API_KEY for auto transcription."
+    );
+  }
+
+  if (payload.speakers && DIARIZE_PROVIDER !== "none" && transcript.length) {
+    transcript = await diarizeTranscript({
+      transcript,
+      loadMedia: source.loadMedia,
+      videoDuration,
       jobId,
       jobDir,
+      signal,
     });
+  }
 
-    if (!transcript || !transcript.length) {
-      throw new Error(
-        "No transcript found. Add captions on YouTube or set OPENAI_API_KEY for auto transcription."
-      );
-    }
+  if (manualClips) {
+    return { source, transcript, clips: manualClips };
+  }
 
-    updateJob(jobId, { message: "Detecting highlights...", progress: 0.35 });
+  setJobProgress(jobId, PROGRESS_PHASES.transcript[1]);
+  const signals = await analyzeHighlightSignals({
+    jobId,
+    info: source.info,
+    transcript,
+    videoPath,
+    loadMedia: source.loadMedia,
+    videoDuration,
+    signal,
+  });
 
-    const lengthMap = {
-      short: 24,
-      medium: 36,
-      long: 52,
-    };
+  setJobProgress(jobId, PROGRESS_PHASES.signals[1], { message: "Detecting highlights..." });
+  const clipCount = payload.clipCount || DEFAULT_CLIP_COUNT;
+  const clips = await selectHighlights(transcript, videoDuration || 600, {
+    lengths: CLIP_LENGTHS[payload.length] || CLIP_LENGTHS.short,
+    count: payload.review ? Math.min(MAX_CLIP_COUNT, clipCount * REVIEW_CANDIDATE_FACTOR) : clipCount,
+    goal: payload.goal || "highlights",
+    signals,
+    signal,
+  });
+  const shortfall =
+    clips.length < clipCount ? ` Only ${clips.length} of ${clipCount} clips fit in this video.` : "";
 
-    const targetDuration = lengthMap[payload.length] || lengthMap.short;
-    const clips = selectHighlights(transcript, videoDuration || 600, {
-      targetDuration,
-      count: 3,
-      goal: payload.goal || "highlights",
-    });
+  return { source, transcript, clips, shortfall };
+}
 
-    const { width, height } = await getVideoDimensions(videoPath);
-    const cropFilters = buildCropFilters(width, height);
+async function loadReviewedClips({ jobId, jobDir, job, payload, signal }) {
+  const transcript = JSON.parse(await fs.promises.readFile(path.join(jobDir, REVIEW_TRANSCRIPT_FILE), "utf8"));
+  const source = job.review.videoPath
+    ? job.review
+    : await ingestSource({ jobId, jobDir, payload: { ...payload, downloadMode: "segments" }, signal });
 
-    const outputFiles = [];
+  return { source, transcript, clips: payload.approvedClips };
+}
+
+async function runJob(jobId, payload) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  jobControllers.set(jobId, controller);
+  const job = jobStore.get(jobId);
+  const reviewed = Boolean(payload.approvedClips && job?.review && job.jobDir);
+  const jobDir = reviewed ? job.jobDir : await fs.promises.mkdtemp(path.join(os.tmpdir(), "clipspark-"));
 
-    for (const clip of clips) {
-      updateJob(jobId, { step: 2, message: `Rendering clip ${clip.id}...`, progress: 0.45 + clip.id * 0.15 });
+  try {
+    signal.throwIfAborted();
+    updateJob(jobId, {
+      status: "processing",
+      clips: [],
+      jobDir,
+      ...(reviewed ? { step: 2, message: "Rendering approved clips..." } : { step: 0, progress: 0 }),
+    });
 
-      const clipBase = `clip_${clip.id}`;
-      const clipVideoPath = path.join(jobDir, `${clipBase}.mp4`);
-      const srtPath = path.join(jobDir, `${clipBase}.srt`);
-      const vttPath = path.join(jobDir, `${clipBase}.vtt`);
+    const { source, transcript, clips, shortfall = "" } = reviewed
+      ? await loadReviewedClips({ jobId, jobDir, job, payload, signal })
+      : await detectClips({ jobId, jobDir, payload, signal });
+    const { videoPath, videoTitle, videoDuration } = source;
+
+    signal.throwIfAborted();
+
+    if (payload.review && !reviewed) {
+      await fs.promises.writeFile(path.join(jobDir, REVIEW_TRANSCRIPT_FILE), JSON.stringify(transcript));
+      updateJob(jobId, {
+        status: REVIEW_STATUS,
+        step: 1,
+        message: `Candidates ready. Approve the clips to render.${shortfall}`,
+        review: { videoPath, videoTitle, videoDuration },
+        candidates: clips.map((clip) => ({
+          id: clip.id,
+          start: clip.start,
+          end: clip.end,
+          duration: clip.duration,
+          title: clip.title,
+          reason: clip.reason,
+          score: clip.score,
+          text: clipTranscriptText(transcript, clip, REVIEW_TEXT_LIMIT),
+        })),
+      });
+      return;
+    }
 
-      await writeSrtFile(transcript, clip.start, clip.end, srtPath);
-      await writeVttFile(transcript, clip.start, clip.end, vttPath);
+    if (!videoPath) {
+      await downloadClipSegments({ jobId, jobDir, source, clips, signal });
+    }
 
-      updateJob(jobId, { step: 3, message: "Burning subtitles...", progress: 0.65 + clip.id * 0.05 });
-      await renderClip({
-        inputPath: videoPath,
-        outputPath: clipVideoPath,
+    setJobProgress(jobId, PROGRESS_PHASES.render[0], {
+      clips: clips.map((clip) => ({
+        id: clip.id,
         start: clip.start,
+        end: clip.end,
         duration: clip.duration,
-        subtitlePath: srtPath,
-        subtitleStyle: payload.subtitleStyle,
-        burnIn: payload.burnIn,
-        cropFilters,
-      });
+        title: clip.title,
+        reason: clip.reason,
+        text: clipTranscriptText(transcript, clip, 160),
+        progress: 0,
+      })),
+    });
 
-      outputFiles.push({ path: clipVideoPath, name: `${videoTitle}_${clipBase}.mp4` });
-      outputFiles.push({ path: srtPath, name: `${videoTitle}_${clipBase}.srt` });
-      outputFiles.push({ path: vttPath, name: `${videoTitle}_${clipBase}.vtt` });
-    }
+    const outputFiles = await renderClips({
+      jobId,
+      jobDir,
+      videoPath,
+      videoTitle,
+      transcript,
+      clips,
+      payload,
+      signal,
+    });
 
-    updateJob(jobId, { step: 4, message: "Packaging exports...", progress: 0.95 });
+    setJobProgress(jobId, PROGRESS_PHASES.render[1], { step: 4, message: "Packaging exports..." });
     const zipPath = await zipOutputs(jobDir, outputFiles);
+    signal.throwIfAborted();
 
     updateJob(jobId, {
       status: "done",
       step: 4,
-      message: "Highlights ready.",
+      message: `Highlights ready.${shortfall}`,
       progress: 1,
       outputZip: zipPath,
     });
   } catch (error) {
+    if (signal.aborted) {
+      await fs.promises.rm(jobDir, { recursive: true, force: true }).catch(() => {});
+      return;
+    }
+
     const rawMessage = error.message || "Unable to process video.";
     const is403 = rawMessage.includes("Status code: 403");
     const hint = is403
@@ -508,48 +2991,426 @@ async function runJob(jobId, payload) {
       message: "Processing failed.",
       error: hint,
     });
+  } finally {
+    jobControllers.delete(jobId);
   }
 }
 
-app.post("/api/highlights", async (req, res) => {
-  const { url, goal, length, subtitleStyle, burnIn, platforms, language } = req.body || {};
+function parseClipTime(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string" || !/^\d+(:\d+){0,2}(\.\d+)?$/.test(value.trim())) return NaN;
+  return value
+    .trim()
+    .split(":")
+    .reduce((total, part) => total * 60 + Number(part), 0);
+}
 
-  if (!url || !ytdl.validateURL(url)) {
-    return res.status(400).json({ error: "Enter a valid YouTube URL." });
+function parseManualClips(clips) {
+  if (!Array.isArray(clips) || !clips.length || clips.length > MAX_CLIP_COUNT) {
+    return { error: `Provide between 1 and ${MAX_CLIP_COUNT} clips.` };
+  }
+
+  const parsed = [];
+  for (const [index, clip] of clips.entries()) {
+    const start = parseClipTime(clip?.start);
+    const end = parseClipTime(clip?.end);
+    const label = `Clip ${index + 1}`;
+
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0) {
+      return { error: `${label} needs a numeric start and end in seconds or mm:ss.` };
+    }
+    if (end - start < MIN_MANUAL_CLIP_SECONDS || end - start > MAX_MANUAL_CLIP_SECONDS) {
+      return {
+        error: `${label} must be between ${MIN_MANUAL_CLIP_SECONDS} and ${MAX_MANUAL_CLIP_SECONDS} seconds long.`,
+      };
+    }
+
+    const title = typeof clip.title === "string" ? clip.title.trim().slice(0, 80) : "";
+    parsed.push({ start, end, title: title || null });
+  }
+
+  return { clips: parsed };
+}
+
+function buildManualClips(clips, videoDuration) {
+  return clips.map((clip, index) => {
+    if (videoDuration && clip.end > videoDuration + 0.5) {
+      throw new Error(
+        `Clip ${index + 1} ends at ${formatSrtTime(clip.end)}, past the end of the video (${formatSrtTime(videoDuration)}).`
+      );
+    }
+    const end = videoDuration ? Math.min(videoDuration, clip.end) : clip.end;
+    return { id: index + 1, start: clip.start, end, duration: end - clip.start, title: clip.title };
+  });
+}
+
+function parseStylePreset(body) {
+  const input = body || {};
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  const slug = name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  if (!slug || name.length > 40) {
+    return { error: "Preset name must be 1-40 characters and include a letter or digit." };
+  }
+
+  const font = input.font === undefined ? DEFAULT_FONT : String(input.font).trim();
+  if (!STYLE_FONT_PATTERN.test(font)) {
+    return { error: "Font must be a font family name." };
+  }
+  if (!fontCatalog.some((entry) => entry.family === font)) {
+    return { error: `Font "${font}" is not installed. See /api/fonts for available families.` };
+  }
+
+  const size = input.size === undefined ? 56 : Number(input.size);
+  if (!Number.isInteger(size) || size < 20 || size > 140) {
+    return { error: "Font size must be a whole number between 20 and 140." };
+  }
+
+  const colours = {
+    primaryColour: input.primaryColour ?? "#FFFFFF",
+    outlineColour: input.outlineColour ?? "#000000",
+    highlightColour: input.highlightColour ?? "#FFD24A",
+  };
+  const badColour = Object.entries(colours).find(([, value]) => !STYLE_COLOUR_PATTERN.test(value));
+  if (badColour) {
+    return { error: `${badColour[0]} must be a hex colour like #FFAA00.` };
+  }
+
+  const position = input.position ?? "bottom";
+  if (!STYLE_POSITIONS[position]) {
+    return { error: `Position must be one of: ${Object.keys(STYLE_POSITIONS).join(", ")}.` };
+  }
+
+  const maxWordsPerLine = input.maxWordsPerLine == null ? null : Number(input.maxWordsPerLine);
+  if (maxWordsPerLine !== null && (!Number.isInteger(maxWordsPerLine) || maxWordsPerLine < 1 || maxWordsPerLine > 12)) {
+    return { error: "Max words per line must be between 1 and 12." };
+  }
+
+  return {
+    preset: {
+      id: `custom-${slug}`,
+      name,
+      font,
+      size,
+      ...colours,
+      position,
+      box: input.box === true,
+      uppercase: input.uppercase === true,
+      maxWordsPerLine,
+    },
+  };
+}
+
+function buildJobOptions(body) {
+  const { goal, length, subtitleStyle, burnIn, platforms, language } = body || {};
+  const stylePreset = subtitleStyle && !STYLE_MAP[subtitleStyle] ? stylePresets.get(subtitleStyle) : null;
+  if (subtitleStyle && !STYLE_MAP[subtitleStyle] && !stylePreset) {
+    return { error: "Unknown subtitle style." };
+  }
+
+  if (language !== undefined && language !== "auto" && !CAPTION_LANGUAGES.includes(language)) {
+    return { error: `Caption language must be one of: auto, ${CAPTION_LANGUAGES.join(", ")}.` };
+  }
+
+  const emoji = body?.emoji === true;
+  const speakers = body?.speakers === true;
+  const review = body?.review === true;
+  let clipCount = body?.clipCount === undefined ? DEFAULT_CLIP_COUNT : Number(body.clipCount);
+  let clips;
+
+  if (body?.clips !== undefined) {
+    const manual = parseManualClips(body.clips);
+    if (manual.error) {
+      return { error: manual.error };
+    }
+    clips = manual.clips;
+    clipCount = clips.length;
+  }
+
+  if (!Number.isInteger(clipCount) || clipCount < 1 || clipCount > MAX_CLIP_COUNT) {
+    return { error: `Clip count must be between 1 and ${MAX_CLIP_COUNT}.` };
+  }
+
+  if (!resolvePlatforms(platforms).length) {
+    return { error: "Select at least one output platform." };
+  }
+
+  if (review && clips) {
+    return { error: "Review mode detects candidates itself. Remove the clips list or turn off review." };
   }
 
+  return {
+    options: {
+      goal,
+      length,
+      subtitleStyle,
+      stylePreset,
+      burnIn,
+      platforms,
+      language: language === "auto" ? undefined : language,
+      emoji,
+      speakers,
+      clipCount,
+      clips,
+      review,
+    },
+  };
+}
+
+function submitJob(options, source, extra = {}) {
   const job = createJob();
   updateJob(job.id, {
-    status: "processing",
     step: 0,
-    message: "Starting job...",
+    message: "Waiting in queue...",
     progress: 0,
-    meta: { goal, length, subtitleStyle, burnIn, platforms, language },
+    meta: options,
+    payload: { ...options, ...source },
+    ...extra,
   });
 
-  runJob(job.id, { url, goal, length, subtitleStyle, burnIn, platforms, language });
+  enqueueJob(job.id);
+  return job;
+}
+
+const uploadFiles = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.promises
+        .mkdir(req.uploadDir, { recursive: true })
+        .then(() => cb(null, req.uploadDir))
+        .catch(cb);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${file.fieldname}${path.extname(file.originalname).toLowerCase()}`);
+    },
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 2 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const allowed = file.fieldname === "video" ? VIDEO_EXTENSIONS : CAPTION_EXTENSIONS;
+    if (!allowed.includes(extension)) {
+      cb(new Error(`Unsupported ${file.fieldname} file. Use ${allowed.join(", ")}.`));
+      return;
+    }
+    cb(null, true);
+  },
+}).fields([
+  { name: "video", maxCount: 1 },
+  { name: "transcript", maxCount: 1 },
+]);
+
+app.get("/api/fonts", (req, res) => {
+  res.json({ default: DEFAULT_FONT, fonts: fontCatalog });
+});
+
+app.get("/api/styles", (req, res) => {
+  const builtIn = Object.keys(STYLE_MAP).map((id) => ({ id, name: STYLE_NAMES[id], builtIn: true }));
+  const custom = stylePresets.list().map((preset) => ({ ...preset, builtIn: false }));
+  res.json({ styles: [...builtIn, ...custom] });
+});
+
+app.post("/api/styles", async (req, res) => {
+  const { preset, error } = parseStylePreset(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await stylePresets.add(preset);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    return res.status(201).json({ ...result.preset, builtIn: false });
+  } catch (saveError) {
+    console.warn(`Unable to save style preset ${preset.id}: ${saveError.message}`);
+    return res.status(500).json({ error: "Unable to save style preset." });
+  }
+});
+
+app.post("/api/highlights", async (req, res) => {
+  const { url } = req.body || {};
+
+  if (!url || !ytdl.validateURL(url)) {
+    return res.status(400).json({ error: "Enter a valid YouTube URL." });
+  }
+
+  const { downloadMode } = req.body;
+  if (downloadMode !== undefined && !DOWNLOAD_MODES.includes(downloadMode)) {
+    return res.status(400).json({ error: `Download mode must be one of: ${DOWNLOAD_MODES.join(", ")}.` });
+  }
+
+  const { options, error } = buildJobOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  return res.json({ jobId: job.id });
+  const job = submitJob(options, { url, downloadMode });
+  return res.json({ jobId: job.id, queuePosition: getQueuePosition(job.id) });
 });
 
+app.post(
+  "/api/uploads",
+  (req, res, next) => {
+    req.uploadDir = path.join(UPLOAD_DIR, crypto.randomUUID());
+    next();
+  },
+  (req, res) => {
+    uploadFiles(req, res, async (uploadError) => {
+      const discard = () => fs.promises.rm(req.uploadDir, { recursive: true, force: true }).catch(() => {});
+
+      if (uploadError) {
+        await discard();
+        const message =
+          uploadError.code === "LIMIT_FILE_SIZE" ? "Uploaded file is too large." : uploadError.message;
+        return res.status(400).json({ error: message });
+      }
+
+      const video = req.files?.video?.[0];
+      const captions = req.files?.transcript?.[0];
+      if (!video) {
+        await discard();
+        return res.status(400).json({ error: "Attach an MP4, MOV or MKV video." });
+      }
+
+      let body = {};
+      try {
+        body = JSON.parse(req.body?.options || "{}");
+      } catch (parseError) {
+        await discard();
+        return res.status(400).json({ error: "Invalid job options." });
+      }
+
+      const { options, error } = buildJobOptions(body);
+      if (error) {
+        await discard();
+        return res.status(400).json({ error });
+      }
+
+      const job = submitJob(
+        options,
+        {
+          source: "upload",
+          title: path.parse(video.originalname).name,
+          uploadPath: video.path,
+          captionsPath: captions?.path,
+        },
+        { uploadDir: req.uploadDir }
+      );
+      return res.json({ jobId: job.id, queuePosition: getQueuePosition(job.id) });
+    });
+  }
+);
+
 app.get("/api/jobs/:id", (req, res) => {
-  const job = jobs.get(req.params.id);
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+
+  return res.json(serializeJob(job));
+});
+
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (current) => {
+    res.write(`data: ${JSON.stringify(serializeJob(current))}\n\n`);
+    if (FINISHED_STATUSES.includes(current.status)) {
+      res.end();
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobEvents.off(job.id, send);
+  };
+
+  jobEvents.on(job.id, send);
+  req.on("close", cleanup);
+  res.on("finish", cleanup);
+  send(job);
+});
+
+app.delete("/api/jobs/:id", async (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: "Job already finished." });
+  }
+
+  await cancelJob(job.id);
+  return res.json({ id: job.id, status: "cancelled" });
+});
+
+app.get("/api/jobs/:id/candidates", (req, res) => {
+  const job = jobStore.get(req.params.id);
   if (!job) {
     return res.status(404).json({ error: "Job not found." });
   }
 
+  if (!job.candidates) {
+    return res.status(409).json({ error: "Candidates are not ready yet." });
+  }
+
   return res.json({
     id: job.id,
     status: job.status,
-    step: job.step,
-    message: job.error ? job.error : job.message,
-    progress: job.progress,
-    downloadReady: Boolean(job.outputZip),
+    videoDuration: job.review?.videoDuration || 0,
+    candidates: job.candidates,
+  });
+});
+
+app.post("/api/jobs/:id/render", (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+
+  if (job.status !== REVIEW_STATUS) {
+    return res.status(409).json({ error: "Job is not awaiting review." });
+  }
+
+  const { clips, error } = parseManualClips(req.body?.clips);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let approvedClips;
+  try {
+    approvedClips = buildManualClips(clips, job.review.videoDuration);
+  } catch (rangeError) {
+    return res.status(400).json({ error: rangeError.message });
+  }
+
+  updateJob(job.id, {
+    status: "queued",
+    message: "Waiting in queue...",
+    clips: [],
+    payload: { ...job.payload, approvedClips },
   });
+  enqueueJob(job.id);
+  return res.json({ jobId: job.id, queuePosition: getQueuePosition(job.id) });
 });
 
 app.get("/api/jobs/:id/download", (req, res) => {
-  const job = jobs.get(req.params.id);
+  const job = jobStore.get(req.params.id);
   if (!job || !job.outputZip) {
     return res.status(404).json({ error: "Output not ready." });
   }
@@ -557,22 +3418,26 @@ app.get("/api/jobs/:id/download", (req, res) => {
   res.download(job.outputZip, "clipspark_output.zip");
 });
 
-setInterval(async () => {
-  const now = Date.now();
-  for (const [id, job] of jobs.entries()) {
-    if (now - job.updatedAt > JOB_TTL_MS) {
-      if (job.jobDir) {
-        try {
-          await fs.promises.rm(job.jobDir, { recursive: true, force: true });
-        } catch (error) {
-          // ignore cleanup errors
-        }
+if (require.main === module) {
+  setInterval(async () => {
+    const now = Date.now();
+    for (const job of jobStore.values()) {
+      if (ACTIVE_STATUSES.includes(job.status)) continue;
+      const ttl = job.status === REVIEW_STATUS ? REVIEW_TTL_MS : JOB_TTL_MS;
+      if (now - job.updatedAt > ttl) {
+        await removeJobDir(job);
+        jobStore.delete(job.id);
       }
-      jobs.delete(id);
     }
+  }, 1000 * 60 * 10);
+
+  for (const job of reconcileJobs()) {
+    enqueueJob(job.id);
   }
-}, 1000 * 60 * 10);
 
-app.listen(PORT, () => {
-  console.log(`ClipSpark running on http://localhost:${PORT}`);
-});
+  app.listen(PORT, () => {
+    console.log(`ClipSpark running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { app, buildCropFilters, buildCropXExpression };
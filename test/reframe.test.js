@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+
+process.env.JOB_STORE = "memory";
+process.env.CLIPSPARK_DATA_DIR = path.join(os.tmpdir(), "clipspark-test");
+
+const { buildCropFilters, buildCropXExpression } = require("../server");
+
+function evaluateCropX(expression, t) {
+  const lerp = (a, b, x) => a + (b - a) * x;
+  const lt = (a, b) => Number(a < b);
+  const gte = (a, b) => Number(a >= b);
+  return new Function("t", "lerp", "lt", "gte", `return ${expression};`)(t, lerp, lt, gte);
+}
+
+function maxNesting(expression) {
+  let depth = 0;
+  let max = 0;
+  for (const char of expression) {
+    if (char === "(") max = Math.max(max, (depth += 1));
+    if (char === ")") depth -= 1;
+  }
+  return max;
+}
+
+test("crop expression for a 180 s clip stays shallow and follows the path", () => {
+  const cropPath = Array.from({ length: 181 }, (_, time) => ({ time, center: time < 90 ? 0.3 : 0.7 }));
+  const expression = buildCropXExpression(cropPath, 1920, 607);
+
+  assert.ok(maxNesting(expression) < 10, "expression nesting must not grow with clip length");
+  assert.strictEqual(evaluateCropX(expression, 10), 273);
+  assert.strictEqual(evaluateCropX(expression, 150), 1041);
+  assert.strictEqual(evaluateCropX(expression, 200), 1041);
+  assert.strictEqual(evaluateCropX(expression, 89.5), 657);
+});
+
+test("crop filter falls back to a centered crop without a path", () => {
+  assert.deepStrictEqual(buildCropFilters(1920, 1080, null), ["crop=607:1080:656:0", "scale=1080:1920", "setsar=1"]);
+});